@@ -1,27 +1,157 @@
 #!/usr/bin/env node
 
 const { 
-  validateBranchName, 
+  validateBranchNameAsync,
+  syncTickets,
   validateCommitMessage, 
   validateBoth,
-  showConfig
+  validateCommits,
+  showConfig,
+  getConfig,
+  generateBranchName,
+  getGeneratedBranchTypes,
+  extractTicketIds,
+  prefillCommitMessage
 } = require('./index.js');
+const { installHooks, uninstallHooks } = require('./hooks.js');
+const { git, getCurrentBranch, getCommits } = require('./git.js');
+const { cleanCommitMessage } = require('./commit-message.js');
+const { formatReport, FORMATS } = require('./formatters.js');
+const { runWizard } = require('./wizard.js');
+const fs = require('fs');
+const { execFileSync } = require('child_process');
 
 const args = process.argv.slice(2);
 
+// Options that take a value; everything else that is not one of their values is positional
+const VALUE_OPTIONS = ['--file', '--branch', '--format', '--type', '--ticket', '--max-warnings'];
+const positionals = args.filter((arg, index) =>
+  !VALUE_OPTIONS.includes(arg) && !VALUE_OPTIONS.includes(args[index - 1]));
+
+/**
+ * Read the value following a --flag, or undefined when the flag is absent
+ */
+function getOption(name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : undefined;
+}
+
+/**
+ * Read a commit message file as git would store it (comments and scissors section removed)
+ */
+function readCommitMessageFile(filepath) {
+  let commentChar = '#';
+  try {
+    const configured = git(['config', 'core.commentChar']);
+    if (configured.length === 1) commentChar = configured;
+  } catch (error) {
+    // core.commentChar not set
+  }
+  return cleanCommitMessage(fs.readFileSync(filepath, 'utf8'), commentChar);
+}
+
+/**
+ * Total number of warnings in a list of results
+ */
+function countWarnings(results) {
+  return results.reduce((count, result) => count + (result && result.warnings ? result.warnings.length : 0), 0);
+}
+
+/**
+ * Exit with the validation status: 1 when invalid or when there are more
+ * warnings than --max-warnings allows
+ */
+function exitWithStatus(valid, warningCount) {
+  if (warningCount > 0) {
+    console.log(`⚠️  ${warningCount} warning${warningCount === 1 ? '' : 's'}`);
+  }
+  if (valid && maxWarnings !== undefined && warningCount > Number(maxWarnings)) {
+    console.log(`❌ Too many warnings (${warningCount}, max ${maxWarnings})`);
+    process.exit(1);
+  }
+  process.exit(valid ? 0 : 1);
+}
+
+/**
+ * Write a machine-readable report to stdout and exit with the validation status
+ */
+function writeReport(result, checks, warningCount = countWarnings([result])) {
+  process.stdout.write(formatReport(format, result, checks) + '\n');
+  exitWithStatus(result.valid, warningCount);
+}
+
+/**
+ * Print every error of a result with its code, or the result message when it has none
+ */
+function printErrors(result, indent = '') {
+  const errors = result.errors || [];
+  if (errors.length === 0) {
+    console.log(indent + result.message);
+    return;
+  }
+  errors.forEach(error => {
+    console.log(`${indent}❌ ${error.line ? `Line ${error.line}: ` : ''}${error.message} [${error.code}]`);
+  });
+}
+
+/**
+ * Print the warnings of a result (rules set to 'warn'), which do not fail validation
+ */
+function printWarnings(result, indent = '') {
+  (result.warnings || []).forEach(warning => {
+    console.log(`${indent}⚠️  ${warning.line ? `Line ${warning.line}: ` : ''}${warning.message} [${warning.code}]`);
+  });
+}
+
+/**
+ * Detect the current branch, exiting with a clear message on a detached HEAD
+ */
+function detectBranch() {
+  const head = getCurrentBranch();
+  if (head.detached) {
+    console.log(`⚠️  HEAD is detached at ${head.sha.slice(0, 7)}: there is no branch name to validate`);
+    console.log('Check out a branch or pass the branch name explicitly.');
+    process.exit(1);
+  }
+  console.log(`🌿 Current branch: ${head.branch}`);
+  return head.branch;
+}
+
 if (args.length === 0) {
   console.log('🎫 Simple Branch & Commit Validator');
   console.log('');
   console.log('Usage:');
-  console.log('  validate-git branch <branch-name>     - Validate branch name format');
+  console.log('  validate-git branch [branch-name]     - Validate branch name format (default: current branch)');
   console.log('  validate-git commit <commit-message>  - Validate commit message format');
-  console.log('  validate-git both <branch> <commit>   - Validate both branch and commit');
+  console.log('  validate-git commit --file <path>     - Validate a commit message file (e.g. .git/COMMIT_EDITMSG)');
+  console.log('  validate-git both [branch] <commit>   - Validate both branch and commit (default: current branch)');
+  console.log('  validate-git range <base>..<head>     - Validate every commit in a range against the branch');
+  console.log('                                          (--branch <name> to override the current branch)');
+  console.log('  validate-git new-branch "<title>"     - Generate a valid branch name from a title');
+  console.log('                                          (--type <type> --ticket <id> [--drop-stopwords] [--checkout])');
+  console.log('  validate-git wizard                   - Build a branch name and commit message step by step');
+  console.log('                                          (--create or --print to skip the final question)');
   console.log('  validate-git config                   - Show current configuration');
+  console.log('  validate-git tickets sync             - Refresh the offline ticket registry from its source tracker');
+  console.log('  validate-git install-hooks            - Install commit-msg and pre-push git hooks');
+  console.log('                                          (--prepare-commit-msg to prefill ticket IDs)');
+  console.log('  validate-git uninstall-hooks          - Remove installed git hooks');
+  console.log('');
+  console.log('Options:');
+  console.log('  --format text|json|junit|sarif        - Output format for branch, commit, both, range');
+  console.log('                                          (config and tickets support text and json)');
+  console.log('  --max-warnings <n>                    - Fail when there are more than n warnings');
   console.log('');
   console.log('Examples:');
   console.log('  validate-git branch "feature/SHOP-1234-fix-user-login"');
   console.log('  validate-git commit "SHOP-1234-fix-user-login"');
   console.log('  validate-git both "feature/SHOP-1234-fix-bug" "SHOP-1234-fix-bug"');
+  console.log('  validate-git range origin/main..HEAD');
+  console.log('  validate-git new-branch --type bugfix --ticket SHOP-1234 "Fix SSO login" --checkout');
+  console.log('');
+  console.log('Configuration:');
+  console.log('  .branchvalidatorrc, .branchvalidatorrc.json or "branchValidator" in package.json');
+  console.log('  (searched upward from the current directory; environment variables take precedence)');
   console.log('');
   console.log('Environment Variables:');
   console.log('  PROJECT_KEYS      - Comma-separated project keys (default: SHOP,PROJ,TASK)');
@@ -31,23 +161,39 @@ if (args.length === 0) {
 }
 
 const command = args[0];
+const format = getOption('--format') || 'text';
+
+if (!FORMATS.includes(format)) {
+  console.log(`❌ Unknown output format '${format}'. Valid formats: ${FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+const maxWarnings = getOption('--max-warnings');
+if (maxWarnings !== undefined && !/^\d+$/.test(maxWarnings)) {
+  console.log(`❌ --max-warnings must be a number of warnings, got '${maxWarnings}'`);
+  process.exit(1);
+}
+
+// Keep stdout for the report: progress messages go to stderr in machine-readable formats
+if (format !== 'text') {
+  console.log = console.error;
+}
 
 async function runValidation() {
   try {
     switch (command) {
       case 'branch': {
-        const branchName = args[1];
-        if (!branchName) {
-          console.log('❌ Error: Please provide a branch name to validate');
-          console.log('Usage: validate-git branch <branch-name>');
-          console.log('Example: validate-git branch "feature/SHOP-1234-fix-user-login"');
-          process.exit(1);
-        }
+        const branchName = positionals[1] || detectBranch();
         
         console.log(`🔍 Validating branch: ${branchName}`);
-        const result = validateBranchName(branchName);
+        const result = await validateBranchNameAsync(branchName);
+        if (format !== 'text') {
+          writeReport(result, [{ kind: 'branch', name: branchName, result }]);
+        }
         
-        console.log('\\n' + result.message);
+        console.log('');
+        printErrors(result);
+        printWarnings(result);
         if (result.suggestion) {
           console.log(`💡 Suggestion: ${result.suggestion}`);
         }
@@ -55,23 +201,42 @@ async function runValidation() {
         if (result.ticketId) {
           console.log(`🎫 Ticket ID: ${result.ticketId}`);
         }
+        (result.issues || []).forEach(issue => {
+          const assignee = issue.assignee ? issue.assignee.name || issue.assignee.email : 'unassigned';
+          console.log(`📋 ${issue.id}: ${issue.summary} (${issue.status}, ${assignee})`);
+        });
+        if (result.trackerSkipped) {
+          console.log(`ℹ️  Issue tracker check skipped: ${result.trackerSkipped}`);
+        }
         
-        process.exit(result.valid ? 0 : 1);
+        exitWithStatus(result.valid, countWarnings([result]));
       }
       
       case 'commit': {
-        const commitMessage = args[1];
+        const messageFile = getOption('--file');
+        const commitMessage = messageFile ? readCommitMessageFile(messageFile) : positionals[1];
         if (!commitMessage) {
           console.log('❌ Error: Please provide a commit message to validate');
           console.log('Usage: validate-git commit <commit-message>');
+          console.log('       validate-git commit --file <commit-message-file>');
           console.log('Example: validate-git commit "SHOP-1234-fix-user-login"');
           process.exit(1);
         }
         
         console.log(`📝 Validating commit: ${commitMessage}`);
         const result = validateCommitMessage(commitMessage);
+        if (format !== 'text') {
+          writeReport(result, [{
+            kind: 'commit',
+            name: commitMessage.split('\n')[0],
+            result,
+            file: messageFile
+          }]);
+        }
         
-        console.log('\\n' + result.message);
+        console.log('');
+        printErrors(result);
+        printWarnings(result);
         if (result.suggestion) {
           console.log(`💡 Suggestion: ${result.suggestion}`);
         }
@@ -80,25 +245,55 @@ async function runValidation() {
           console.log(`🎫 Ticket ID: ${result.ticketId}`);
         }
         
-        process.exit(result.valid ? 0 : 1);
+        exitWithStatus(result.valid, countWarnings([result]));
       }
       
       case 'both': {
-        const branchName = args[1];
-        const commitMessage = args[2];
+        // With a single argument it is the commit message, checked against the current branch
+        const commitMessage = positionals.length === 2 ? positionals[1] : positionals[2];
+        const branchName = positionals.length === 2 ? detectBranch() : positionals[1];
         if (!branchName || !commitMessage) {
           console.log('❌ Error: Please provide both branch name and commit message');
-          console.log('Usage: validate-git both <branch-name> <commit-message>');
+          console.log('Usage: validate-git both [branch-name] <commit-message>');
           console.log('Example: validate-git both "feature/SHOP-1234-fix-bug" "SHOP-1234-fix-bug"');
           process.exit(1);
         }
         
         console.log(`🔄 Validating both branch and commit...`);
         const result = validateBoth(branchName, commitMessage);
+        if (format !== 'text') {
+          const checks = [
+            { kind: 'branch', name: branchName, result: result.branchResult },
+            { kind: 'commit', name: commitMessage.split('\n')[0], result: result.commitResult }
+          ];
+          if (result.branchResult.valid && result.commitResult.valid) {
+            // Only the ticket consistency check: branch and commit warnings are reported above
+            const consistency = Object.assign({}, result, {
+              warnings: result.warnings.filter(warning => warning.code === 'TICKET_MISMATCH')
+            });
+            checks.push({ kind: 'consistency', name: `${branchName} / ${commitMessage.split('\n')[0]}`, result: consistency });
+          }
+          writeReport(result, checks);
+        }
         
         console.log('\\n📊 Validation Results:');
         console.log(`🌿 Branch: ${result.branchResult.valid ? '✅' : '❌'} ${result.branchResult.message}`);
         console.log(`💬 Commit: ${result.commitResult.valid ? '✅' : '❌'} ${result.commitResult.message}`);
+        if (result.branchResult.errors && result.branchResult.errors.length > 1) {
+          console.log('\n🌿 Branch errors:');
+          printErrors(result.branchResult, '   ');
+        }
+        if (result.commitResult.errors && result.commitResult.errors.length > 1) {
+          console.log('\n💬 Commit errors:');
+          printErrors(result.commitResult, '   ');
+        }
+        if (result.branchResult.valid && result.commitResult.valid && !result.valid) {
+          printErrors(result);
+        }
+        if (result.warnings.length > 0) {
+          console.log('\n⚠️  Warnings:');
+          printWarnings(result, '   ');
+        }
         
         if (result.branchResult.suggestion) {
           console.log(`💡 Branch suggestion: ${result.branchResult.suggestion}`);
@@ -109,14 +304,226 @@ async function runValidation() {
         
         console.log(`\\n🎯 Overall: ${result.valid ? '✅ Valid' : '❌ Invalid'}`);
         
-        process.exit(result.valid ? 0 : 1);
+        exitWithStatus(result.valid, countWarnings([result]));
+      }
+      
+      case 'range': {
+        const branchOption = getOption('--branch');
+        const revisions = positionals.slice(1);
+        if (revisions.length === 0) {
+          console.log('❌ Error: Please provide a commit range to validate');
+          console.log('Usage: validate-git range <base>..<head> [--branch <branch-name>]');
+          console.log('Example: validate-git range origin/main..HEAD');
+          process.exit(1);
+        }
+        
+        let branchName = branchOption;
+        if (!branchName) {
+          const head = getCurrentBranch();
+          branchName = head.branch;
+          if (head.detached) {
+            console.log(`⚠️  HEAD is detached at ${head.sha.slice(0, 7)}: skipping branch ticket consistency (use --branch)`);
+          }
+        }
+        
+        const commits = getCommits(revisions);
+        console.log(`🔗 Validating ${commits.length} commits in ${revisions.join(' ')}`);
+        const result = validateCommits(commits, branchName);
+        if (format !== 'text') {
+          const checks = result.branchResult ? [{ kind: 'branch', name: branchName, result: result.branchResult }] : [];
+          result.commits.forEach(commit => {
+            checks.push({ kind: 'commit', name: `${commit.shortSha} ${commit.subject}`, result: commit.result });
+          });
+          writeReport(result, checks, countWarnings(checks.map(check => check.result)));
+        }
+        
+        if (result.branchResult) {
+          console.log(`\n🌿 Branch ${branchName}:`);
+          printErrors(result.branchResult, '   ');
+          printWarnings(result.branchResult, '   ');
+          if (result.branchResult.suggestion) {
+            console.log(`💡 Branch suggestion: ${result.branchResult.suggestion}`);
+          }
+        }
+        
+        console.log('\n📊 Commits:');
+        result.commits.forEach(commit => {
+          console.log(`${commit.result.valid ? '✅' : '❌'} ${commit.shortSha} ${commit.subject}`);
+          if (!commit.result.valid) {
+            printErrors(commit.result, '   ');
+          }
+          printWarnings(commit.result, '   ');
+          if (commit.result.suggestion) {
+            console.log(`   💡 Suggestion: ${commit.result.suggestion}`);
+          }
+        });
+        
+        console.log(`\n🎯 Overall: ${result.message}`);
+        exitWithStatus(result.valid, countWarnings([result.branchResult].concat(result.commits.map(commit => commit.result))));
+      }
+      
+      case 'new-branch': {
+        const title = positionals.slice(1).filter(arg => !arg.startsWith('--')).join(' ');
+        if (!title) {
+          console.log('❌ Error: Please provide a title for the branch');
+          console.log('Usage: validate-git new-branch [--type <type>] [--ticket <id>] [--drop-stopwords] [--checkout] "<title>"');
+          console.log('Example: validate-git new-branch --type bugfix --ticket SHOP-1234 "Fix user can\'t log in with SSO (Okta)"');
+          process.exit(1);
+        }
+        
+        const result = generateBranchName(title, {
+          type: getOption('--type'),
+          ticket: getOption('--ticket'),
+          stopwords: args.includes('--drop-stopwords')
+        });
+        if (result.valid && args.includes('--checkout')) {
+          git(['checkout', '-b', result.branchName]);
+          console.log(`🌿 Switched to a new branch '${result.branchName}'`);
+        }
+        if (format !== 'text') {
+          writeReport(result, [{ kind: 'branch', name: result.branchName, result }]);
+        }
+        
+        if (!result.valid) {
+          console.log(`🌿 ${result.branchName}`);
+          console.log('');
+          printErrors(result);
+          process.exit(1);
+        }
+        // The name alone on stdout, so that it can be used as $(validate-git new-branch ...)
+        process.stdout.write(`${result.branchName}\n`);
+        process.exit(0);
+      }
+      
+      case 'wizard': {
+        let create;
+        if (args.includes('--create')) create = true;
+        if (args.includes('--print')) create = false;
+        
+        const answers = await runWizard({
+          getConfig,
+          generateBranchName,
+          getGeneratedBranchTypes,
+          extractTicketIds,
+          prefillCommitMessage,
+          validateCommitMessage
+        }, { create });
+        console.log('');
+        if (!answers.create) {
+          console.log(`🌿 Branch: ${answers.branchName}`);
+          if (answers.commitMessage) {
+            console.log(`💬 Commit: ${answers.commitMessage}`);
+          }
+          console.log('');
+          console.log(`   git checkout -b ${answers.branchName}`);
+          if (answers.commitMessage) {
+            console.log(`   git commit -m ${JSON.stringify(answers.commitMessage)}`);
+          }
+          process.exit(0);
+        }
+        
+        git(['checkout', '-b', answers.branchName]);
+        console.log(`🌿 Switched to a new branch '${answers.branchName}'`);
+        if (answers.commitMessage) {
+          let staged = true;
+          try {
+            git(['diff', '--cached', '--quiet']);
+            staged = false;
+          } catch (error) {
+            // Exit code 1: there are staged changes
+          }
+          if (!staged) {
+            console.log('⚠️  Nothing staged to commit. Stage your changes, then run:');
+            console.log(`   git commit -m ${JSON.stringify(answers.commitMessage)}`);
+            process.exit(0);
+          }
+          // Show git's own output, including any commit hooks
+          try {
+            execFileSync('git', ['commit', '-m', answers.commitMessage], { stdio: 'inherit' });
+          } catch (error) {
+            console.log(`❌ git commit failed. Retry with: git commit -m ${JSON.stringify(answers.commitMessage)}`);
+            process.exit(1);
+          }
+          console.log(`💬 Committed: ${answers.commitMessage}`);
+        }
+        process.exit(0);
       }
       
       case 'config': {
+        if (format === 'json') {
+          writeReport(getConfig(), []);
+        }
+        if (format !== 'text') {
+          console.log(`❌ Output format '${format}' is not supported for config. Use text or json`);
+          process.exit(1);
+        }
         const result = showConfig();
         process.exit(0);
       }
       
+      case 'tickets': {
+        if (positionals[1] !== 'sync') {
+          console.log(`❌ Unknown tickets command: ${positionals[1] || '(none)'}. Use: validate-git tickets sync`);
+          process.exit(1);
+        }
+        if (format !== 'text' && format !== 'json') {
+          console.log(`❌ Output format '${format}' is not supported for tickets. Use text or json`);
+          process.exit(1);
+        }
+        const result = await syncTickets();
+        if (format === 'json') {
+          writeReport(Object.assign({ valid: true }, result), []);
+        }
+        result.routes.forEach(route => {
+          console.log(`✅ ${route.key ? `${route.key} tickets` : 'Default'}: ${route.count} issues from ${route.name}`);
+        });
+        console.log(`💾 Saved ${result.count} tickets to ${result.file} (synced ${result.syncedAt})`);
+        process.exit(0);
+      }
+      
+      case 'install-hooks': {
+        const result = installHooks({ prepareCommitMsg: args.includes('--prepare-commit-msg') });
+        console.log(`🪝 Git hooks directory: ${result.hooksDir}`);
+        result.results.forEach(({ hook, action }) => {
+          const note = action === 'chained' ? 'installed (existing hook kept and run first)' : action;
+          console.log(`✅ ${hook}: ${note}`);
+        });
+        process.exit(0);
+      }
+      
+      case 'uninstall-hooks': {
+        const result = uninstallHooks();
+        console.log(`🪝 Git hooks directory: ${result.hooksDir}`);
+        result.results.forEach(({ hook, action }) => {
+          const note = action === 'restored' ? 'removed (previous hook restored)' : action;
+          console.log(`${action === 'not installed' ? '⏭️ ' : '✅'} ${hook}: ${note}`);
+        });
+        process.exit(0);
+      }
+      
+      case 'prepare-commit-msg': {
+        // Called by the prepare-commit-msg hook: <message-file> [source]
+        const messageFile = positionals[1];
+        const source = positionals[2];
+        if (!messageFile || ['merge', 'squash', 'commit'].includes(source)) {
+          process.exit(0);
+        }
+        
+        let branchName = '';
+        try {
+          branchName = getCurrentBranch().branch || '';
+        } catch (error) {
+          process.exit(0);
+        }
+        
+        const message = fs.readFileSync(messageFile, 'utf8');
+        const prefilled = prefillCommitMessage(message, branchName);
+        if (prefilled !== message) {
+          fs.writeFileSync(messageFile, prefilled);
+        }
+        process.exit(0);
+      }
+      
       default: {
         console.log(`❌ Unknown command: ${command}`);
         console.log('Run "validate-git" without arguments to see usage information.');
@@ -0,0 +1,157 @@
+/**
+ * Commit message parsing
+ *
+ * Cleans up raw commit message files the way git does, recognizes messages
+ * generated by git itself, splits a commit message into header, body and
+ * footers, and parses Conventional Commits headers (`type(scope)!: subject`).
+ * Line numbers are 1-based and refer to the original message.
+ */
+
+const CONVENTIONAL_HEADER = /^(\w+)(?:\(([^()]*)\))?(!)?: (.*)$/;
+const FOOTER = /^(BREAKING[ -]CHANGE|[\w-]+)(: | #)(.*)$/;
+const BREAKING_TOKENS = ['BREAKING CHANGE', 'BREAKING-CHANGE'];
+// Trailer tokens that reference tickets (compared case-insensitively); other trailers
+// such as `Release-Note: requires TLS-1` are free text
+const TICKET_TOKENS = [
+  'refs', 'ref', 'references', 'see', 'see-also', 'related', 'related-to', 'part-of', 'implements',
+  'issue', 'issues', 'ticket', 'tickets', 'jira',
+  'closes', 'close', 'closed', 'fixes', 'fix', 'fixed', 'resolves', 'resolve', 'resolved'
+];
+const SCISSORS = '------------------------ >8 ------------------------';
+
+// Subjects written by git merge, git revert and git commit --fixup/--squash
+const GENERATED_SUBJECTS = [
+  /^Merge (branch|branches|remote-tracking branch|tag|commit|pull request) /,
+  /^Merge [0-9a-f]{7,40}( into .+)?$/,
+  /^Revert ".*"$/,
+  /^(fixup|squash|amend)! /
+];
+
+/**
+ * Clean up a commit message file the way `git commit --cleanup=strip` does:
+ * drop the scissors line and everything below it, comment lines, and
+ * leading/trailing blank lines
+ */
+function cleanCommitMessage(raw, commentChar = '#') {
+  const lines = String(raw).replace(/\r\n/g, '\n').split('\n');
+
+  const scissors = lines.findIndex(line => line === `${commentChar} ${SCISSORS}`);
+  const kept = (scissors !== -1 ? lines.slice(0, scissors) : lines)
+    .filter(line => !line.startsWith(commentChar))
+    .map(line => line.replace(/\s+$/, ''));
+
+  while (kept.length > 0 && kept[0] === '') kept.shift();
+  while (kept.length > 0 && kept[kept.length - 1] === '') kept.pop();
+
+  return kept.join('\n');
+}
+
+/**
+ * Check whether a commit subject was generated by git (merge, revert, fixup!, squash!)
+ */
+function isGeneratedMessage(message) {
+  const subject = String(message).split('\n')[0];
+  return GENERATED_SUBJECTS.some(pattern => pattern.test(subject));
+}
+
+/**
+ * Split a commit message into header, body and footers
+ */
+function parseCommitMessage(message) {
+  const lines = String(message).replace(/\r\n/g, '\n').split('\n');
+
+  // Ignore trailing blank lines
+  while (lines.length > 1 && lines[lines.length - 1].trim() === '') {
+    lines.pop();
+  }
+
+  const header = lines[0];
+  const missingBlankLine = lines.length > 1 && lines[1].trim() !== '';
+
+  // Group the remaining lines into paragraphs separated by blank lines
+  const paragraphs = [];
+  let current = null;
+  for (let i = 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { line: i + 1, lines: [] };
+      paragraphs.push(current);
+    }
+    current.lines.push(lines[i]);
+  }
+
+  // The last paragraph holds the footers when it starts with a `Token: value` line
+  const footers = [];
+  const last = paragraphs[paragraphs.length - 1];
+  if (last && FOOTER.test(last.lines[0])) {
+    paragraphs.pop();
+    last.lines.forEach((text, index) => {
+      const match = text.match(FOOTER);
+      if (match) {
+        footers.push({ token: match[1], separator: match[2], value: match[3], line: last.line + index });
+      } else {
+        // Continuation of a multi-line footer value
+        footers[footers.length - 1].value += `\n${text}`;
+      }
+    });
+  }
+
+  const bodyLines = [];
+  paragraphs.forEach((paragraph, index) => {
+    if (index > 0) bodyLines.push({ text: '', line: paragraph.line - 1 });
+    paragraph.lines.forEach((text, offset) => {
+      bodyLines.push({ text, line: paragraph.line + offset });
+    });
+  });
+
+  return {
+    header,
+    missingBlankLine,
+    body: bodyLines.map(line => line.text).join('\n'),
+    bodyLines,
+    footers,
+    lines
+  };
+}
+
+/**
+ * Parse a Conventional Commits header, returning null when it does not match
+ */
+function parseConventionalHeader(header) {
+  const match = header.match(CONVENTIONAL_HEADER);
+  if (!match) return null;
+
+  return {
+    type: match[1],
+    scope: match[2] !== undefined ? match[2] : null,
+    breaking: match[3] === '!',
+    subject: match[4]
+  };
+}
+
+/**
+ * Check whether any footer marks a breaking change
+ */
+function hasBreakingFooter(footers) {
+  return footers.some(footer => BREAKING_TOKENS.includes(footer.token));
+}
+
+/**
+ * Keep the footers that reference tickets (Refs, Closes, Fixes, Resolves, ...)
+ */
+function getTicketFooters(footers) {
+  return footers.filter(footer => TICKET_TOKENS.includes(footer.token.toLowerCase()));
+}
+
+module.exports = {
+  cleanCommitMessage,
+  isGeneratedMessage,
+  parseCommitMessage,
+  parseConventionalHeader,
+  hasBreakingFooter,
+  getTicketFooters,
+  TICKET_TOKENS
+};
@@ -0,0 +1,192 @@
+/**
+ * Project-level configuration loading
+ *
+ * Looks for a committed config file, searching upward from the working directory:
+ * - .branchvalidatorrc (JSON)
+ * - .branchvalidatorrc.json
+ * - "branchValidator" key in package.json
+ *
+ * The first directory containing one of them wins. Settings are layered as
+ * defaults < config file < environment variables, and the origin of every
+ * setting is recorded so it can be shown by `validate-git config`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_FILES = ['.branchvalidatorrc', '.branchvalidatorrc.json', 'package.json'];
+const PACKAGE_KEY = 'branchValidator';
+
+const DEFAULTS = {
+  projectKeys: ['SHOP', 'PROJ', 'TASK'],
+  branchTypes: ['feature', 'bugfix', 'hotfix', 'release', 'chore'],
+  ticketSyntax: 'jira',
+  branchFormat: '{type}/{ticket}-{description}',
+  commitFormat: '{ticket}-{description}',
+  commitConvention: 'default',
+  exemptBranches: ['main', 'master', 'develop', 'dependabot/**', 'renovate/**'],
+  conventional: {
+    types: ['feat', 'fix', 'docs', 'style', 'refactor', 'perf', 'test', 'build', 'ci', 'chore', 'revert'],
+    ticketIn: ['scope', 'subject', 'footer']
+  },
+  branchRules: {
+    maxLength: 100
+  },
+  commitRules: {
+    subjectMaxLength: 72,
+    bodyMaxLineLength: 72,
+    allowTrailingPeriod: false
+  },
+  // Issue tracker checked by validateBranchNameAsync, e.g. 'jira' or { provider: 'jira', url }
+  tracker: null,
+  // Branch types allowed per tracker issue type, e.g. { Bug: ['bugfix', 'hotfix'] }
+  issueTypes: {},
+  // Severity per error code ('error', 'warn' or 'off'); unlisted codes are errors
+  rules: {},
+  skipValidation: false
+};
+
+/**
+ * Read and parse a JSON file, naming the file in any parse error
+ */
+function readJson(filepath) {
+  const content = fs.readFileSync(filepath, 'utf8');
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Invalid JSON in config file ${filepath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the nearest config file, starting at startDir and walking up to the filesystem root
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const filename of CONFIG_FILES) {
+      const filepath = path.join(dir, filename);
+      if (!fs.existsSync(filepath)) continue;
+
+      const data = readJson(filepath);
+      if (filename === 'package.json') {
+        if (data && data[PACKAGE_KEY]) {
+          return { filepath, config: data[PACKAGE_KEY] };
+        }
+        continue;
+      }
+      return { filepath, config: data || {} };
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Normalize a project key setting given as an array or comma-separated string
+ */
+function parseProjectKeys(value) {
+  const keys = Array.isArray(value) ? value : String(value).split(',');
+  return keys.map(key => String(key).trim()).filter(Boolean);
+}
+
+/**
+ * Normalize branch types given as names or { name, aliases, ...rules } objects.
+ * Per-type rules (format, ticket, projectKeys, description) are kept as given.
+ */
+function normalizeBranchTypes(value) {
+  const types = Array.isArray(value) ? value : String(value).split(',');
+  return types
+    .map(type => {
+      if (typeof type === 'string') {
+        return { name: type.trim(), aliases: [] };
+      }
+      const normalized = Object.assign({}, type, {
+        name: String(type.name).trim(),
+        aliases: (type.aliases || []).map(alias => String(alias).trim()).filter(Boolean)
+      });
+      if (type.projectKeys !== undefined) {
+        normalized.projectKeys = parseProjectKeys(type.projectKeys);
+      }
+      return normalized;
+    })
+    .filter(type => type.name);
+}
+
+/**
+ * Check for a plain object (not an array or null)
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply a set of settings over the configuration, recording their source
+ */
+function applySettings(config, sources, settings, source) {
+  Object.keys(settings).forEach(key => {
+    // Object settings are merged over their defaults, everything else replaces them
+    config[key] = isPlainObject(DEFAULTS[key]) && isPlainObject(settings[key])
+      ? Object.assign({}, DEFAULTS[key], settings[key])
+      : settings[key];
+    sources[key] = source;
+  });
+  if (settings.projectKeys !== undefined) {
+    config.projectKeys = parseProjectKeys(settings.projectKeys);
+  }
+  if (settings.branchTypes !== undefined) {
+    config.branchTypes = normalizeBranchTypes(settings.branchTypes);
+    if (config.branchTypes.length === 0) {
+      throw new Error(`branchTypes in ${source} must name at least one branch type, e.g. ["feature", "bugfix"]`);
+    }
+  }
+}
+
+/**
+ * Build the effective configuration and a map of where each setting came from.
+ * Options: cwd (where to start the config file search), env (defaults to
+ * process.env) and overrides (settings applied last, e.g. from createValidator)
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const config = Object.assign({}, DEFAULTS, {
+    branchTypes: normalizeBranchTypes(DEFAULTS.branchTypes)
+  });
+  const sources = {};
+  Object.keys(DEFAULTS).forEach(key => { sources[key] = 'default'; });
+
+  const found = findConfigFile(options.cwd);
+  if (found) {
+    applySettings(config, sources, found.config, found.filepath);
+  }
+
+  if (env.PROJECT_KEYS) {
+    config.projectKeys = parseProjectKeys(env.PROJECT_KEYS);
+    sources.projectKeys = 'env PROJECT_KEYS';
+  }
+  if (env.SKIP_VALIDATION !== undefined && env.SKIP_VALIDATION !== '') {
+    config.skipValidation = env.SKIP_VALIDATION === 'true';
+    sources.skipValidation = 'env SKIP_VALIDATION';
+  }
+
+  if (options.overrides) {
+    applySettings(config, sources, options.overrides, 'options');
+  }
+
+  return {
+    config,
+    sources,
+    configFile: found ? found.filepath : null
+  };
+}
+
+module.exports = {
+  loadConfig,
+  findConfigFile,
+  normalizeBranchTypes,
+  CONFIG_FILES,
+  DEFAULTS
+};
@@ -0,0 +1,45 @@
+/**
+ * Stable error codes reported in result.errors, with a short description of each.
+ * Kept apart from the validator so that formatters can name rules without loading it.
+ */
+
+const ERROR_CODES = {
+  BRANCH_PREFIX: 'Branch does not start with a configured branch type',
+  BRANCH_FORMAT: 'Branch does not match branchFormat',
+  BRANCH_MAX_LENGTH: 'Branch name is too long',
+  REF_INVALID_CHAR: 'Branch name contains a character git does not allow',
+  REF_DOUBLE_DOT: 'Branch name contains ..',
+  REF_AT_BRACE: 'Branch name contains @{',
+  REF_SLASH: 'Branch name starts or ends with a slash or contains consecutive slashes',
+  REF_COMPONENT_DOT: 'Part of the branch name starts with a dot',
+  REF_LOCK_SUFFIX: 'Part of the branch name ends with .lock',
+  REF_TRAILING_DOT: 'Branch name ends with a dot',
+  REF_LEADING_DASH: 'Branch name starts with a dash',
+  REF_RESERVED: 'Branch name is reserved by git (@ or HEAD)',
+  COMMIT_FORMAT: 'Commit subject does not match commitFormat or the Conventional Commits header',
+  COMMIT_TYPE: 'Unknown Conventional Commits type',
+  TICKET_MISSING: 'No ticket ID found',
+  UNKNOWN_PROJECT_KEY: 'Ticket project key is not configured',
+  TICKET_MISMATCH: 'Branch and commit refer to different tickets',
+  TICKET_NOT_FOUND: 'Ticket does not exist in the issue tracker',
+  TICKET_CLOSED: 'Ticket is in a closed status (Done, Closed, ...)',
+  TICKET_BACKLOG: 'Ticket is still in the backlog',
+  TICKET_ASSIGNEE: 'Ticket is not assigned to the committer (git config user.email)',
+  TICKET_TYPE: 'Branch type is not allowed for the ticket\'s issue type',
+  TICKET_SUMMARY: 'Branch description has no words in common with the ticket summary',
+  TRACKER_ERROR: 'Issue tracker lookup failed',
+  DESC_SPACES: 'Description contains spaces',
+  DESC_UNDERSCORES: 'Description contains underscores',
+  DESC_UPPERCASE: 'Description contains uppercase letters',
+  DESC_MAX_LENGTH: 'Description is too long',
+  SUBJECT_CASE: 'Subject starts with the wrong letter case',
+  SUBJECT_EMPTY: 'Commit subject is empty',
+  SUBJECT_MAX_LENGTH: 'Commit subject is too long',
+  SUBJECT_TRAILING_PERIOD: 'Commit subject ends with a period',
+  BLANK_LINE_MISSING: 'No blank line between commit subject and body',
+  BODY_LINE_LENGTH: 'Commit body line is too long'
+};
+
+module.exports = {
+  ERROR_CODES
+};
@@ -0,0 +1,169 @@
+/**
+ * Machine-readable output formats for the CLI
+ *
+ * - json: the full result object from index.js
+ * - junit: one <testcase> per validated branch or commit; warnings go to <system-out>
+ * - sarif: SARIF 2.1.0 log with one result per error or warning, ruleId = error code
+ *
+ * JUnit and SARIF output are built from a list of checks:
+ * { kind: 'branch' | 'commit' | 'consistency', name, result, file }
+ */
+
+const { ERROR_CODES } = require('./error-codes');
+const pkg = require('./package.json');
+
+const FORMATS = ['text', 'json', 'junit', 'sarif'];
+
+/**
+ * Escape text for use in XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Errors of a result, falling back to its message for results without an errors list
+ */
+function getErrors(result) {
+  if (result.errors && result.errors.length > 0) return result.errors;
+  if (result.valid) return [];
+  return [{ code: 'VALIDATION_FAILED', message: result.message.replace(/^❌\s*/, '') }];
+}
+
+/**
+ * Describe an error or warning on one line, e.g. "[DESC_UPPERCASE] Line 1: ..."
+ */
+function describe(error) {
+  return `[${error.code}] ${error.line ? `Line ${error.line}: ` : ''}${error.message}`;
+}
+
+/**
+ * Serialize a result object as JSON
+ */
+function toJson(result) {
+  return JSON.stringify(result, null, 2);
+}
+
+/**
+ * Render checks as a JUnit XML report, one test case per check
+ */
+function toJUnit(checks) {
+  const failures = checks.filter(check => !check.result.valid).length;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="validate-git" tests="${checks.length}" failures="${failures}">`,
+    `  <testsuite name="validate-git" tests="${checks.length}" failures="${failures}">`
+  ];
+
+  checks.forEach(check => {
+    const testcase = `    <testcase classname="validate-git.${check.kind}" name="${escapeXml(check.name)}"`;
+    const warnings = check.result.warnings || [];
+    if (check.result.valid && warnings.length === 0) {
+      lines.push(`${testcase}/>`);
+      return;
+    }
+
+    lines.push(`${testcase}>`);
+    if (!check.result.valid) {
+      const errors = getErrors(check.result);
+      const details = errors.map(describe);
+      if (check.result.suggestion) {
+        details.push(`Suggestion: ${check.result.suggestion}`);
+      }
+      lines.push(`      <failure type="${escapeXml(errors[0].code)}" message="${escapeXml(errors[0].message)}">` +
+        `${escapeXml(details.join('\n'))}</failure>`);
+    }
+    if (warnings.length > 0) {
+      const details = warnings.map(warning => `Warning: ${describe(warning)}`);
+      lines.push(`      <system-out>${escapeXml(details.join('\n'))}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  });
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n');
+}
+
+/**
+ * Render checks as a SARIF 2.1.0 log, one result per error (level error) or
+ * warning (level warning)
+ */
+function toSarif(checks) {
+  const results = [];
+  const usedCodes = [];
+
+  checks.forEach(check => {
+    getErrors(check.result).concat(check.result.warnings || []).forEach(error => {
+      if (!usedCodes.includes(error.code)) usedCodes.push(error.code);
+
+      const location = {
+        logicalLocations: [{ name: check.name, kind: check.kind }]
+      };
+      if (check.file) {
+        location.physicalLocation = {
+          artifactLocation: { uri: check.file },
+          region: { startLine: error.line || 1 }
+        };
+      }
+
+      const message = error.suggestion || check.result.suggestion
+        ? `${error.message}. Suggestion: ${error.suggestion || check.result.suggestion}`
+        : error.message;
+
+      results.push({
+        ruleId: error.code,
+        level: error.severity === 'warn' ? 'warning' : 'error',
+        message: { text: `${check.name}: ${message}` },
+        locations: [location]
+      });
+    });
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'validate-git',
+          version: pkg.version,
+          informationUri: pkg.homepage,
+          rules: usedCodes.map(code => ({
+            id: code,
+            shortDescription: { text: ERROR_CODES[code] || code }
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2);
+}
+
+/**
+ * Render a command result in the requested format
+ */
+function formatReport(format, result, checks) {
+  switch (format) {
+    case 'json':
+      return toJson(result);
+    case 'junit':
+      return toJUnit(checks);
+    case 'sarif':
+      return toSarif(checks);
+    default:
+      throw new Error(`Unknown output format '${format}'. Valid formats: ${FORMATS.join(', ')}`);
+  }
+}
+
+module.exports = {
+  formatReport,
+  toJson,
+  toJUnit,
+  toSarif,
+  FORMATS
+};
@@ -0,0 +1,135 @@
+/**
+ * Git repository helpers
+ *
+ * Detects the current branch by reading HEAD directly (including linked
+ * worktrees and submodules, where `.git` is a file pointing at the real git
+ * directory), falling back to `git rev-parse` when HEAD cannot be read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Run a git command and return its trimmed output
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd: cwd,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'ignore']
+  }).trim();
+}
+
+/**
+ * Find the git directory for cwd, following `gitdir:` files. Returns null outside a repository.
+ */
+function findGitDir(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+
+  while (true) {
+    const dotGit = path.join(dir, '.git');
+    if (fs.existsSync(dotGit)) {
+      if (fs.statSync(dotGit).isDirectory()) {
+        return dotGit;
+      }
+      const match = fs.readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+      return match ? path.resolve(dir, match[1].trim()) : null;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the branch being rebased, since HEAD is detached during a rebase
+ */
+function readRebaseBranch(gitDir) {
+  for (const dir of ['rebase-merge', 'rebase-apply']) {
+    const headName = path.join(gitDir, dir, 'head-name');
+    if (fs.existsSync(headName)) {
+      return fs.readFileSync(headName, 'utf8').trim().replace(/^refs\/heads\//, '');
+    }
+  }
+  return null;
+}
+
+/**
+ * Detect the current branch. Returns { branch, detached, sha }, where branch is null
+ * and sha is set when HEAD is detached. Throws outside a git repository.
+ */
+function getCurrentBranch(cwd = process.cwd()) {
+  const gitDir = findGitDir(cwd);
+  const headFile = gitDir && path.join(gitDir, 'HEAD');
+
+  if (headFile && fs.existsSync(headFile)) {
+    const head = fs.readFileSync(headFile, 'utf8').trim();
+    const ref = head.match(/^ref:\s*refs\/heads\/(.+)$/);
+    if (ref) {
+      return { branch: ref[1], detached: false, sha: null };
+    }
+
+    if (/^[0-9a-f]{40,64}$/.test(head)) {
+      const rebaseBranch = readRebaseBranch(gitDir);
+      if (rebaseBranch) {
+        return { branch: rebaseBranch, detached: false, sha: null };
+      }
+      return { branch: null, detached: true, sha: head };
+    }
+  }
+
+  let branch;
+  try {
+    branch = git(['rev-parse', '--abbrev-ref', 'HEAD'], cwd);
+  } catch (error) {
+    throw new Error(`Not a git repository: ${cwd}`);
+  }
+  if (branch === 'HEAD') {
+    return { branch: null, detached: true, sha: git(['rev-parse', 'HEAD'], cwd) };
+  }
+  return { branch, detached: false, sha: null };
+}
+
+/**
+ * List the commits selected by git revision arguments (e.g. ['origin/main..HEAD']),
+ * oldest first, as { sha, message }
+ */
+function getCommits(revisions, cwd) {
+  let output;
+  try {
+    output = git(['log', '--reverse', '--format=%H%x00%B%x1e'].concat(revisions, '--'), cwd);
+  } catch (error) {
+    throw new Error(`Invalid revision range: ${revisions.join(' ')}`);
+  }
+
+  return output
+    .split('\x1e')
+    .map(entry => entry.replace(/^\n/, ''))
+    .filter(Boolean)
+    .map(entry => {
+      const [sha, message] = entry.split('\x00');
+      return { sha, message: message.trim() };
+    });
+}
+
+/**
+ * Read `git config user.email`, or null when it is not set
+ */
+function getUserEmail(cwd) {
+  try {
+    return git(['config', 'user.email'], cwd) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  git,
+  findGitDir,
+  getCurrentBranch,
+  getCommits,
+  getUserEmail
+};
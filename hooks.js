@@ -0,0 +1,176 @@
+/**
+ * Git hook installation
+ *
+ * Writes commit-msg, pre-push and (optionally) prepare-commit-msg hooks into
+ * the repository hooks directory, honouring core.hooksPath. Existing hooks
+ * that were not written by validate-git are kept: they are renamed to
+ * `<hook>.pre-validate-git` and run before the validator. Installing twice
+ * leaves the hooks unchanged, and uninstalling restores the chained hooks.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { git } = require('./git');
+
+const HOOK_MARKER = '# validate-git hook';
+const CHAINED_SUFFIX = '.pre-validate-git';
+
+const HOOK_COMMANDS = {
+  'commit-msg': '$validate_git commit --file "$1"',
+  'pre-push': [
+    '# Validate every pushed commit against the branch it is pushed to, named by the',
+    '# remote ref: `git push origin HEAD` passes HEAD as the local ref',
+    'zero=$(git hash-object --stdin </dev/null | tr "0-9a-f" "0")',
+    'status=0',
+    'while read -r local_ref local_sha remote_ref remote_sha; do',
+    '  case "$remote_ref" in refs/heads/*) ;; *) continue ;; esac',
+    '  [ "$local_sha" = "$zero" ] && continue',
+    '  branch="${remote_ref#refs/heads/}"',
+    '  # New branches, and force pushes over remote commits never fetched here:',
+    '  # check the commits that no remote-tracking branch has',
+    '  if [ "$remote_sha" = "$zero" ] || ! git cat-file -e "$remote_sha^{commit}" 2>/dev/null; then',
+    '    $validate_git range "$local_sha" --not --remotes --branch "$branch" || status=1',
+    '  else',
+    '    $validate_git range "$remote_sha..$local_sha" --branch "$branch" || status=1',
+    '  fi',
+    'done <<EOF',
+    '$input',
+    'EOF',
+    'exit $status'
+  ].join('\n'),
+  'prepare-commit-msg': '$validate_git prepare-commit-msg "$1" "$2"'
+};
+
+const DEFAULT_HOOKS = ['commit-msg', 'pre-push'];
+
+// Hooks that receive data on stdin, which must be buffered for the chained hook
+const STDIN_HOOKS = ['pre-push'];
+
+/**
+ * Resolve the hooks directory: core.hooksPath if set, otherwise the repository's hooks dir
+ */
+function getHooksDir(cwd = process.cwd()) {
+  let topLevel;
+  try {
+    topLevel = git(['rev-parse', '--show-toplevel'], cwd);
+  } catch (error) {
+    throw new Error(`Not a git repository: ${cwd}`);
+  }
+
+  let hooksPath = '';
+  try {
+    hooksPath = git(['config', 'core.hooksPath'], cwd);
+  } catch (error) {
+    // core.hooksPath not set
+  }
+  if (hooksPath) {
+    return path.resolve(topLevel, hooksPath);
+  }
+
+  return path.resolve(cwd, git(['rev-parse', '--git-path', 'hooks'], cwd));
+}
+
+/**
+ * Render the shell script for a hook
+ */
+function renderHook(name) {
+  const readsStdin = STDIN_HOOKS.includes(name);
+  return [
+    '#!/bin/sh',
+    HOOK_MARKER,
+    '# Installed by validate-git. Remove with: validate-git uninstall-hooks',
+    ''
+  ].concat(readsStdin ? ['input=$(cat)', ''] : [], [
+    '# Run the hook that was here before validate-git was installed',
+    `chained="$(dirname "$0")/${name}${CHAINED_SUFFIX}"`,
+    'if [ -x "$chained" ]; then',
+    readsStdin
+      ? '  printf \'%s\\n\' "$input" | "$chained" "$@" || exit $?'
+      : '  "$chained" "$@" || exit $?',
+    'fi',
+    '',
+    'if command -v validate-git >/dev/null 2>&1; then',
+    '  validate_git=validate-git',
+    'else',
+    '  validate_git="npx --no-install validate-git"',
+    'fi',
+    '',
+    HOOK_COMMANDS[name],
+    ''
+  ]).join('\n');
+}
+
+/**
+ * Check whether a hook file was written by validate-git
+ */
+function isOwnHook(filepath) {
+  return fs.existsSync(filepath) && fs.readFileSync(filepath, 'utf8').includes(HOOK_MARKER);
+}
+
+/**
+ * Install the validator hooks. Returns the hooks directory and one { hook, action } per hook.
+ */
+function installHooks(options = {}) {
+  const hooksDir = getHooksDir(options.cwd);
+  const hooks = DEFAULT_HOOKS.concat(options.prepareCommitMsg ? ['prepare-commit-msg'] : []);
+  fs.mkdirSync(hooksDir, { recursive: true });
+
+  const results = hooks.map(hook => {
+    const filepath = path.join(hooksDir, hook);
+    const content = renderHook(hook);
+    let action = 'installed';
+
+    if (isOwnHook(filepath)) {
+      if (fs.readFileSync(filepath, 'utf8') === content) {
+        return { hook, action: 'unchanged' };
+      }
+      action = 'updated';
+    } else if (fs.existsSync(filepath)) {
+      const chainedPath = filepath + CHAINED_SUFFIX;
+      if (fs.existsSync(chainedPath)) {
+        throw new Error(`Cannot chain existing ${hook} hook: ${chainedPath} already exists`);
+      }
+      fs.renameSync(filepath, chainedPath);
+      action = 'chained';
+    }
+
+    fs.writeFileSync(filepath, content, { mode: 0o755 });
+    fs.chmodSync(filepath, 0o755);
+    return { hook, action };
+  });
+
+  return { hooksDir, results };
+}
+
+/**
+ * Remove the validator hooks and restore any hooks they chained
+ */
+function uninstallHooks(options = {}) {
+  const hooksDir = getHooksDir(options.cwd);
+
+  const results = Object.keys(HOOK_COMMANDS).map(hook => {
+    const filepath = path.join(hooksDir, hook);
+    const chainedPath = filepath + CHAINED_SUFFIX;
+
+    if (!isOwnHook(filepath)) {
+      return { hook, action: 'not installed' };
+    }
+
+    fs.unlinkSync(filepath);
+    if (fs.existsSync(chainedPath)) {
+      fs.renameSync(chainedPath, filepath);
+      return { hook, action: 'restored' };
+    }
+    return { hook, action: 'removed' };
+  });
+
+  return { hooksDir, results };
+}
+
+module.exports = {
+  installHooks,
+  uninstallHooks,
+  getHooksDir,
+  renderHook,
+  HOOK_MARKER
+};
@@ -8,11 +8,44 @@
  * - Simple format validation without external API calls
  * 
  * Rules:
- * - Branch name must start with feature/, bugfix/, hotfix/, release/, or chore/
- * - Must contain a valid ticket pattern like SHOP-1234
+ * - Branch name must start with a configured branch type (default: feature/, bugfix/,
+ *   hotfix/, release/, or chore/) or one of its aliases
+ * - Must contain a valid ticket ID like SHOP-1234, in the configured ticketSyntax
+ *   (jira, github, azure, linear or a custom pattern with key/number groups)
  * - Description must be lowercase, use dashes (-), no spaces or underscores
+ * - Branch names must be legal git ref names (git check-ref-format) and within
+ *   branchRules.maxLength characters
  * - Commit message must follow: SHOP-1234-description format
+ * - Multi-line commits: the subject line carries the ticket and must stay within the
+ *   configured length without a trailing period, followed by a blank line and a
+ *   wrapped body; trailers (e.g. `Refs: SHOP-1234`) are parsed separately
+ * - Git-generated messages (Merge ..., Revert "...", fixup!, squash!) are always accepted
+ * - Both formats can be replaced with templates such as `{type}/{ticket}/{slug}`
+ *   or `{ticket}: {Subject}` (branchFormat / commitFormat)
+ * - Optional Conventional Commits mode: `type(scope)!: subject` with the ticket
+ *   in the scope, subject or a footer (commitConvention: 'conventional')
+ * - Branch types can set their own rules: format (e.g. `{type}/{version}`), an
+ *   optional ticket, allowed project keys and description rules
+ * - Branches listed in exemptBranches (names or globs such as `dependabot/**`)
+ *   are always valid and reported with `exempt: true`
+ * - Each rule (error code) can be set to 'error', 'warn' or 'off' in `rules`;
+ *   warnings are returned in result.warnings and do not fail validation
  * 
+ * Configuration:
+ * - Committed config file (.branchvalidatorrc, .branchvalidatorrc.json or a
+ *   "branchValidator" key in package.json), searched upward from the cwd
+ * - Environment variables override values from the config file
+ * - createValidator({ config, cwd, env, logger }) builds an independent validator;
+ *   the module-level functions use one created from the current directory
+ *
+ * Issue tracker (optional): with a `tracker` setting (e.g. 'jira'),
+ * validateBranchNameAsync also checks that the branch's tickets exist. The
+ * synchronous validators never call the tracker. Offline, the tickets can come from
+ * a local export or synced snapshot instead (the 'registry' provider, see syncTickets).
+ *
+ * The validators only return results and never print: progress messages go to
+ * the optional logger passed to createValidator.
+ *
  * Environment Variables:
  * - PROJECT_KEYS: Comma-separated list of valid project keys (default: SHOP,PROJ,TASK)
  * - SKIP_VALIDATION: Set to 'true' to skip validation entirely
@@ -25,261 +58,1377 @@ try {
   // dotenv not available, use system environment variables
 }
 
-const fs = require('fs');
 const path = require('path');
+const { loadConfig } = require('./config');
+const { compileTemplate, escapeRegExp } = require('./template');
+const { resolveTicketSyntax, parseTicketId } = require('./ticket-syntax');
+const { checkRefName, sanitizeRefName } = require('./ref-name');
+const { slugify, STOPWORDS } = require('./slugify');
+const { createTracker, syncTickets: syncTrackerTickets } = require('./trackers');
+const { getUserEmail } = require('./git');
+const { ERROR_CODES } = require('./error-codes');
+const {
+  parseCommitMessage,
+  parseConventionalHeader,
+  hasBreakingFooter,
+  getTicketFooters,
+  isGeneratedMessage
+} = require('./commit-message');
 
-// Basic Configuration
-const CONFIG = {
-  projectKeys: (process.env.PROJECT_KEYS || 'SHOP,PROJ,TASK').split(',').map(key => key.trim()),
-  skipValidation: process.env.SKIP_VALIDATION === 'true'
-};
+// Description rules: lowercase, dashes only, no spaces or underscores
+const DESCRIPTION_CHECKS = [
+  {
+    code: 'DESC_SPACES',
+    test: value => value.includes(' '),
+    message: 'cannot contain spaces. Use dashes (-) instead',
+    fix: value => value.replace(/\s+/g, '-')
+  },
+  {
+    code: 'DESC_UNDERSCORES',
+    test: value => value.includes('_'),
+    message: 'cannot contain underscores. Use dashes (-) instead',
+    fix: value => value.replace(/_/g, '-')
+  },
+  {
+    code: 'DESC_UPPERCASE',
+    test: value => value !== value.toLowerCase(),
+    message: 'must be lowercase',
+    fix: value => value.toLowerCase()
+  }
+];
 
-// Simple validation patterns
-const PATTERNS = {
-  branch: /^(feature|bugfix|hotfix|release|chore)\/([A-Z]+)-(\d+)-(.+)$/,
-  commit: /^([A-Z]+)-(\d+)-(.+)$/,
-  ticketId: /([A-Z]+)-(\d+)/
-};
+/**
+ * Description checks for a branch type's `description` rules:
+ * allowSpaces, allowUnderscores, allowUppercase and maxLength
+ */
+function getDescriptionChecks(rules = {}) {
+  const allowed = {
+    DESC_SPACES: rules.allowSpaces,
+    DESC_UNDERSCORES: rules.allowUnderscores,
+    DESC_UPPERCASE: rules.allowUppercase
+  };
+  const checks = DESCRIPTION_CHECKS.filter(check => !allowed[check.code]);
+  if (rules.maxLength) {
+    checks.push({
+      code: 'DESC_MAX_LENGTH',
+      test: value => value.length > rules.maxLength,
+      message: `must be at most ${rules.maxLength} characters long`,
+      fix: value => value.slice(0, rules.maxLength).replace(/[-_\s]+$/, '')
+    });
+  }
+  return checks;
+}
 
 /**
- * Extract ticket ID from branch or commit name
+ * Convert a branch glob to a regular expression: `*` and `?` stay within one
+ * path segment, `**` matches across slashes
  */
-function extractTicketId(name) {
-  const matches = name.match(PATTERNS.ticketId);
-  return matches ? matches[0] : null;
+function globToRegExp(glob) {
+  const source = glob.split(/(\*\*|\*|\?)/).map(part => {
+    if (part === '**') return '.*';
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return escapeRegExp(part);
+  }).join('');
+  return new RegExp(`^${source}$`);
 }
 
+// Rule severities, ESLint style: 'off' drops the error, 'warn' reports it without
+// failing validation. Numbers 0/1/2 are accepted as in ESLint.
+const SEVERITIES = ['off', 'warn', 'error'];
+
+// Rules that are not errors unless configured: the backlog check only warns and
+// the assignee check is opt-in
+const DEFAULT_SEVERITIES = {
+  TICKET_BACKLOG: 'warn',
+  TICKET_ASSIGNEE: 'off',
+  TICKET_SUMMARY: 'warn'
+};
+
 /**
- * Get expected format description for error messages
+ * Resolve the `rules` setting ({ DESC_UPPERCASE: 'warn', ... }) into a severity per
+ * error code, rejecting unknown codes and levels. Unlisted codes use DEFAULT_SEVERITIES
+ * or are errors.
  */
-function getExpectedFormat(type) {
-  switch (type) {
-    case 'branch':
-      return `${CONFIG.projectKeys[0]}-1234-description (feature/bugfix/hotfix/release/chore prefix required)`;
-    case 'commit':
-      return `${CONFIG.projectKeys[0]}-1234-description`;
-    default:
-      return 'Valid format required';
-  }
+function resolveSeverities(rules = {}) {
+  const severities = Object.assign({}, DEFAULT_SEVERITIES);
+  Object.keys(rules).forEach(code => {
+    if (!ERROR_CODES[code]) {
+      throw new Error(`Unknown rule '${code}' in rules. Valid rules: ${Object.keys(ERROR_CODES).join(', ')}`);
+    }
+    const level = typeof rules[code] === 'number' ? SEVERITIES[rules[code]] : rules[code];
+    if (!SEVERITIES.includes(level)) {
+      throw new Error(`Invalid severity '${rules[code]}' for rule ${code}. Use one of: ${SEVERITIES.join(', ')}`);
+    }
+    severities[code] = level;
+  });
+  return severities;
 }
 
+// Default logger: the validators do not print anything unless a logger is passed in
+const SILENT_LOGGER = {
+  info() {}
+};
+
 /**
- * Validate basic format patterns
+ * Create a validator with its own configuration.
+ * Options:
+ * - cwd: directory to search for a config file from (default: process.cwd())
+ * - env: environment variables to read PROJECT_KEYS and SKIP_VALIDATION from (default: process.env)
+ * - config: settings applied over the config file and environment, e.g. { projectKeys: ['APP'] }
+ * - logger: object with an info(message) method (e.g. console) for progress messages
+ * - tracker: issue tracker provider ({ name, getIssue, searchIssues }) used instead of
+ *   the `tracker` setting
  */
-function validateFormat(name, type) {
-  const pattern = PATTERNS[type];
-  if (!pattern) return { valid: false, message: 'Unknown validation type' };
-  
-  const match = name.match(pattern);
-  if (!match) {
+function createValidator(options = {}) {
+  // Configuration: defaults < config file < environment variables < options.config
+  const loaded = loadConfig({ cwd: options.cwd, env: options.env, overrides: options.config });
+  const CONFIG = loaded.config;
+  const CONFIG_SOURCES = loaded.sources;
+  const logger = options.logger || SILENT_LOGGER;
+  const TICKET_SYNTAX = resolveTicketSyntax(CONFIG.ticketSyntax, CONFIG.projectKeys);
+  const SEVERITY = resolveSeverities(CONFIG.rules);
+  // Relative registry files are relative to the config file that names them
+  const TRACKER_DIR = loaded.configFile ? path.dirname(loaded.configFile) : options.cwd;
+  const TRACKER = createTracker(CONFIG.tracker, {
+    env: options.env,
+    provider: options.tracker,
+    keyOf: getProjectKey,
+    baseDir: TRACKER_DIR
+  });
+
+  /**
+   * All accepted branch prefixes: every configured type name plus its aliases
+   */
+  function getBranchPrefixes() {
+    return CONFIG.branchTypes.reduce((prefixes, type) => prefixes.concat(type.name, type.aliases), []);
+  }
+
+  /**
+   * Resolve a branch prefix (type name or alias) to its configured type name
+   */
+  function resolveBranchType(prefix) {
+    const type = CONFIG.branchTypes.find(t => t.name === prefix || t.aliases.includes(prefix));
+    return type ? type.name : null;
+  }
+
+  // Placeholders available in branchFormat / commitFormat templates
+  const PLACEHOLDERS = {
+    type: {
+      pattern: getBranchPrefixes().map(escapeRegExp).join('|'),
+      example: CONFIG.branchTypes[0].name
+    },
+    ticket: {
+      pattern: TICKET_SYNTAX.listPattern,
+      example: TICKET_SYNTAX.example
+    },
+    version: {
+      pattern: 'v?\\d+\\.\\d+\\.\\d+(?:-[0-9A-Za-z.-]+)?',
+      example: '1.0.0'
+    },
+    description: {
+      pattern: '.+',
+      example: 'description',
+      checks: DESCRIPTION_CHECKS
+    },
+    slug: {
+      pattern: '.+',
+      example: 'description',
+      checks: DESCRIPTION_CHECKS
+    },
+    subject: {
+      pattern: '.+',
+      example: 'description',
+      checks: [{
+        code: 'SUBJECT_CASE',
+        test: value => value.charAt(0) !== value.charAt(0).toLowerCase(),
+        message: 'must start with a lowercase letter',
+        fix: value => value.charAt(0).toLowerCase() + value.slice(1)
+      }]
+    },
+    Subject: {
+      pattern: '.+',
+      example: 'Description',
+      checks: [{
+        code: 'SUBJECT_CASE',
+        test: value => value.charAt(0) !== value.charAt(0).toUpperCase(),
+        message: 'must start with an uppercase letter',
+        fix: value => value.charAt(0).toUpperCase() + value.slice(1)
+      }]
+    }
+  };
+
+  // Compiled naming formats
+  const FORMATS = {
+    branch: compileTemplate(CONFIG.branchFormat, PLACEHOLDERS),
+    commit: compileTemplate(CONFIG.commitFormat, PLACEHOLDERS)
+  };
+
+  /**
+   * Compile the rules of a branch type: its own format, whether a ticket is required,
+   * the allowed project keys and description checks, falling back to the global settings
+   */
+  function compileBranchRules(type) {
+    const format = type.format ? compileTemplate(type.format, PLACEHOLDERS) : FORMATS.branch;
+    const ticket = type.ticket || (type.format && !format.names.includes('ticket') ? 'optional' : 'required');
+    if (!['required', 'optional'].includes(ticket)) {
+      throw new Error(`Invalid ticket setting '${ticket}' for branch type ${type.name}. Use 'required' or 'optional'`);
+    }
+
     return {
-      valid: false,
-      message: `❌ Invalid ${type} format. Expected: ${getExpectedFormat(type)}`
+      name: type.name,
+      format,
+      // An optional ticket may be left out together with the separator next to it
+      ticketlessFormat: ticket === 'optional' && format.names.includes('ticket')
+        ? compileTemplate(format.template.replace(/\{ticket\}[^{}]*(?=\{)|[^{}]*\{ticket\}$/, ''), PLACEHOLDERS)
+        : null,
+      ticket,
+      projectKeys: type.projectKeys || CONFIG.projectKeys,
+      descriptionChecks: getDescriptionChecks(type.description),
+      descriptionMaxLength: type.description ? type.description.maxLength || 0 : 0
     };
   }
-  
-  const ticketId = extractTicketId(name);
-  if (!ticketId) {
+
+  // Rules per branch type name
+  const BRANCH_RULES = CONFIG.branchTypes.reduce((rules, type) => {
+    rules[type.name] = compileBranchRules(type);
+    return rules;
+  }, {});
+
+  // Simple validation patterns
+  const PATTERNS = {
+    branch: FORMATS.branch.regex,
+    commit: FORMATS.commit.regex,
+    ticketId: TICKET_SYNTAX.regex
+  };
+
+  // Exempt branch names and globs, e.g. main or dependabot/**
+  const EXEMPT_BRANCHES = [].concat(CONFIG.exemptBranches || []).map(rule => ({
+    rule,
+    regex: globToRegExp(rule)
+  }));
+
+  // Allowed branch type names per lowercase issue type, from the issueTypes setting
+  const ISSUE_TYPES = Object.keys(CONFIG.issueTypes || {}).reduce((issueTypes, issueType) => {
+    issueTypes[issueType.toLowerCase()] = [].concat(CONFIG.issueTypes[issueType]).map(prefix => {
+      const type = resolveBranchType(prefix);
+      if (!type) {
+        throw new Error(`Unknown branch type '${prefix}' for issue type ${issueType} in issueTypes. ` +
+          `Valid types: ${getBranchPrefixes().join(', ')}`);
+      }
+      return type;
+    }).filter((type, index, types) => types.indexOf(type) === index);
+    return issueTypes;
+  }, {});
+
+  /**
+   * Find the exemptBranches rule matching a branch name, or null
+   */
+  function findExemptRule(branchName) {
+    const exempt = EXEMPT_BRANCHES.find(entry => entry.regex.test(branchName));
+    return exempt ? exempt.rule : null;
+  }
+
+  /**
+   * Extract ticket ID from branch or commit name
+   */
+  function extractTicketId(name) {
+    const matches = name.match(PATTERNS.ticketId);
+    return matches ? matches[0] : null;
+  }
+
+  /**
+   * Extract every ticket ID from a branch name or commit text, in order and without duplicates
+   */
+  function extractTicketIds(text) {
+    const regex = new RegExp(TICKET_SYNTAX.pattern, 'g');
+    const ticketIds = [];
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      if (!ticketIds.includes(match[0])) ticketIds.push(match[0]);
+    }
+    return ticketIds;
+  }
+
+  /**
+   * Text of a commit trailer to search for tickets. `Closes #123` keeps the #
+   * that separates the token from the value.
+   */
+  function getFooterText(footer) {
+    return footer.separator === ' #' ? `#${footer.value}` : footer.value;
+  }
+
+  /**
+   * Check the project key of each ticket, reporting each invalid key once
+   */
+  function checkProjectKeys(ticketIds, projectKeys, scope) {
+    const errors = [];
+    ticketIds.forEach(ticketId => {
+      const keyError = checkProjectKey(getProjectKey(ticketId), projectKeys, scope);
+      if (keyError && !errors.some(error => error.message === keyError.message)) {
+        errors.push(keyError);
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Project key of a ticket ID (from the syntax's `key` group), or null when the syntax has no keys
+   */
+  function getProjectKey(ticketId) {
+    const parsed = parseTicketId(TICKET_SYNTAX, ticketId);
+    return parsed ? parsed.key : null;
+  }
+
+  /**
+   * Check a ticket's project key against the allowed keys. Returns an
+   * UNKNOWN_PROJECT_KEY error, or null when the key is allowed or the syntax has no keys.
+   */
+  function checkProjectKey(projectKey, projectKeys = CONFIG.projectKeys, scope = '') {
+    if (!TICKET_SYNTAX.keyed || projectKeys.includes(projectKey)) return null;
     return {
-      valid: false,
-      message: `❌ No valid ticket ID found in ${type}`
+      code: 'UNKNOWN_PROJECT_KEY',
+      message: `Invalid project key '${projectKey}'${scope}. Valid keys: ${projectKeys.join(', ')}`
     };
   }
-  
-  const projectKey = ticketId.split('-')[0];
-  if (!CONFIG.projectKeys.includes(projectKey)) {
-    return {
+
+  /**
+   * Get expected format description for error messages
+   */
+  function getExpectedFormat(type, rules) {
+    if (rules && (rules.format !== FORMATS.branch || rules.ticketlessFormat)) {
+      return [rules.format].concat(rules.ticketlessFormat || [])
+        .map(format => format.render({ type: rules.name }))
+        .join(' or ');
+    }
+
+    if (type === 'commit' && CONFIG.commitConvention === 'conventional') {
+      const example = getConventionalExample(TICKET_SYNTAX.example, 'description');
+      return example.replace('\n\n', ' + footer ');
+    }
+
+    const format = FORMATS[type];
+    if (!format) return 'Valid format required';
+
+    const example = format.render();
+    if (format.names.includes('type')) {
+      return `${example} (${getBranchPrefixes().join('/')} prefix required)`;
+    }
+    return example;
+  }
+
+  /**
+   * Build a failed result from a list of { code, message, suggestion, line } errors.
+   * The first error provides `message`; `suggestion` fixes everything that can be fixed.
+   */
+  function failure(errors, suggestion, extra) {
+    const first = errors[0];
+    const result = {
       valid: false,
-      message: `❌ Invalid project key '${projectKey}'. Valid keys: ${CONFIG.projectKeys.join(', ')}`
+      message: `❌ ${first.line ? `Line ${first.line}: ` : ''}${first.message}`
     };
+    if (suggestion) {
+      result.suggestion = suggestion;
+    }
+    result.errors = errors;
+    return Object.assign(result, extra);
   }
-  
-  return {
-    valid: true,
-    message: `✅ ${type.charAt(0).toUpperCase() + type.slice(1)} format is valid`,
-    ticketId: ticketId,
-    projectKey: projectKey
-  };
-}
 
-/**
- * Validate branch name format
- */
-function validateBranchName(branchName) {
-  console.log(`🎫 Validating branch: ${branchName}`);
-  
-  // Skip validation if disabled
-  if (CONFIG.skipValidation) {
-    return {
-      valid: true,
-      message: '✅ Branch validation skipped (SKIP_VALIDATION=true)',
-      skipped: true
-    };
+  /**
+   * Finish a validation by applying the rule severities to the errors found: 'off'
+   * errors are dropped and 'warn' errors move to `warnings`. Returns the failed
+   * result while errors remain, otherwise validResult with the warnings (and the
+   * suggestion fixing them).
+   */
+  function conclude(errors, suggestion, validResult, extra) {
+    const severityOf = error => SEVERITY[error.code] || 'error';
+    const blocking = errors.filter(error => severityOf(error) === 'error')
+      .map(error => Object.assign(error, { severity: 'error' }));
+    const warnings = errors.filter(error => severityOf(error) === 'warn')
+      .map(error => Object.assign(error, { severity: 'warn' }));
+
+    if (blocking.length > 0) {
+      return Object.assign(failure(blocking, suggestion, extra), { warnings });
+    }
+    const result = Object.assign({}, validResult);
+    if (warnings.length > 0 && suggestion) {
+      result.suggestion = suggestion;
+    }
+    return Object.assign(result, { errors: [], warnings });
+  }
+
+  /**
+   * Apply errors found after a result was built (e.g. a ticket mismatch), keeping
+   * the warnings it already has; suggestion fixes the new errors
+   */
+  function addErrors(result, errors, suggestion) {
+    const checked = conclude(errors, suggestion, result);
+    return Object.assign({}, result, checked, {
+      warnings: (result.warnings || []).concat(checked.warnings)
+    });
   }
 
-  // Basic format validation
-  const formatResult = validateFormat(branchName, 'branch');
-  if (!formatResult.valid) {
-    return formatResult;
+  /**
+   * Append errors whose code has not been reported yet
+   */
+  function addNewErrors(errors, more) {
+    more.forEach(error => {
+      if (!errors.some(existing => existing.code === error.code)) {
+        errors.push(error);
+      }
+    });
   }
 
-  // Check description format (lowercase, dashes only)
-  const parts = branchName.match(PATTERNS.branch);
-  if (parts && parts[4]) {
-    const description = parts[4];
-    
-    // Check for spaces
-    if (description.includes(' ')) {
+  /**
+   * Validate basic format patterns, using a branch type's rules when given. Returns the
+   * matched fields (null when the format does not match) and the format they matched,
+   * the ticket and project key, and any errors found.
+   */
+  function validateFormat(name, type, rules) {
+    if (!FORMATS[type]) throw new Error(`Unknown validation type: ${type}`);
+    const formats = rules ? [rules.format].concat(rules.ticketlessFormat || []) : [FORMATS[type]];
+    const projectKeys = rules ? rules.projectKeys : CONFIG.projectKeys;
+
+    const label = type === 'branch' ? 'Branch name' : 'Commit subject';
+    const errors = [];
+    let format = formats.find(candidate => candidate.match(name)) || formats[0];
+    let fields = format.match(name);
+
+    // Accept underscores or spaces in place of the template's dashes, reported as errors
+    if (!fields) {
+      const lenientFormat = formats.find(candidate => candidate.matchLenient(name));
+      if (lenientFormat) {
+        const lenient = lenientFormat.matchLenient(name);
+        format = lenientFormat;
+        fields = lenient.fields;
+        const separators = lenient.separators.join('');
+        if (/\s/.test(separators)) {
+          errors.push({
+            code: 'DESC_SPACES',
+            message: `${label} cannot contain spaces. Use dashes (-) instead`,
+            suggestion: format.render(fields)
+          });
+        }
+        if (separators.includes('_')) {
+          errors.push({
+            code: 'DESC_UNDERSCORES',
+            message: `${label} cannot contain underscores. Use dashes (-) instead`,
+            suggestion: format.render(fields)
+          });
+        }
+      }
+    }
+
+    if (!fields) {
       return {
-        valid: false,
-        message: '❌ Branch description cannot contain spaces. Use dashes (-) instead',
-        suggestion: `${parts[1]}/${parts[2]}-${parts[3]}-${description.replace(/\s+/g, '-')}`
+        fields: null,
+        errors: [{
+          code: `${type.toUpperCase()}_FORMAT`,
+          message: `Invalid ${type} format. Expected: ${getExpectedFormat(type, rules)}`
+        }]
       };
     }
-    
-    // Check for underscores
-    if (description.includes('_')) {
+
+    // {ticket} may hold several dash-separated tickets (SHOP-12-SHOP-13)
+    const ticketIds = extractTicketIds(fields.ticket || name);
+    if (ticketIds.length === 0) {
+      if (!rules || rules.ticket === 'required') {
+        errors.push({ code: 'TICKET_MISSING', message: `No valid ticket ID found in ${type}` });
+      }
+      return { fields, format, ticketIds, errors };
+    }
+
+    errors.push(...checkProjectKeys(ticketIds, projectKeys,
+      projectKeys !== CONFIG.projectKeys ? ` for ${rules.name} branches` : ''));
+
+    return {
+      fields,
+      format,
+      ticketId: ticketIds[0],
+      ticketIds,
+      projectKey: getProjectKey(ticketIds[0]),
+      errors
+    };
+  }
+
+  /**
+   * Run every placeholder check on the matched fields. Each error carries a suggestion
+   * fixing only that problem; fixedFields has all fixes applied at once.
+   * descriptionChecks replaces the checks of {description} and {slug} (branch type rules).
+   */
+  function checkFields(fields, type, format = FORMATS[type], descriptionChecks) {
+    const label = type.charAt(0).toUpperCase() + type.slice(1);
+    const fixedFields = Object.assign({}, fields);
+    const errors = [];
+
+    format.names.forEach(name => {
+      const checks = descriptionChecks && ['description', 'slug'].includes(name)
+        ? descriptionChecks
+        : PLACEHOLDERS[name].checks || [];
+      const value = fields[name];
+
+      // Rules set to 'off' are neither reported nor fixed in the suggestion
+      checks.filter(check => SEVERITY[check.code] !== 'off').forEach(check => {
+        if (check.test(value)) {
+          errors.push({
+            code: check.code,
+            message: `${label} ${name.toLowerCase()} ${check.message}`,
+            suggestion: format.render(Object.assign({}, fields, { [name]: check.fix(value) }))
+          });
+          fixedFields[name] = check.fix(fixedFields[name]);
+        }
+      });
+    });
+
+    return { errors, fixedFields };
+  }
+
+  /**
+   * Validate branch name format
+   */
+  function validateBranchName(branchName) {
+    logger.info(`🎫 Validating branch: ${branchName}`);
+
+    // Skip validation if disabled
+    if (CONFIG.skipValidation) {
       return {
-        valid: false,
-        message: '❌ Branch description cannot contain underscores. Use dashes (-) instead',
-        suggestion: `${parts[1]}/${parts[2]}-${parts[3]}-${description.replace(/_/g, '-')}`
+        valid: true,
+        message: '✅ Branch validation skipped (SKIP_VALIDATION=true)',
+        skipped: true
       };
     }
-    
-    // Check for uppercase
-    if (description !== description.toLowerCase()) {
+
+    // Protected and bot branches (main, dependabot/**, ...) follow no naming rules
+    const exemptRule = findExemptRule(branchName);
+    if (exemptRule) {
       return {
-        valid: false,
-        message: '❌ Branch description must be lowercase',
-        suggestion: `${parts[1]}/${parts[2]}-${parts[3]}-${description.toLowerCase()}`
+        valid: true,
+        message: `✅ Branch is exempt from validation (matches '${exemptRule}')`,
+        exempt: true,
+        exemptRule,
+        errors: []
       };
     }
+
+    const errors = [];
+    let name = branchName;
+    let branchType = null;
+    let restorePrefix = suggestion => suggestion;
+
+    // Check branch type prefix when the format starts with {type} and a separator.
+    // An invalid prefix is replaced so that the rest of the name can still be checked.
+    const [first, second] = FORMATS.branch.tokens;
+    if (first && first.placeholder === 'type' && second && second.literal) {
+      const separator = second.literal;
+      const hasSeparator = branchName.includes(separator);
+      const prefix = hasSeparator ? branchName.split(separator)[0] : '';
+      branchType = resolveBranchType(prefix);
+      if (!branchType) {
+        const fixedPrefix = resolveBranchType(prefix.toLowerCase()) ? prefix.toLowerCase() : CONFIG.branchTypes[0].name;
+        name = hasSeparator
+          ? fixedPrefix + branchName.slice(prefix.length)
+          : `${fixedPrefix}${separator}${branchName}`;
+        errors.push({
+          code: 'BRANCH_PREFIX',
+          message: `Branch name must start with one of: ${getBranchPrefixes().map(p => `${p}${separator}`).join(', ')}`
+        });
+        branchType = resolveBranchType(fixedPrefix);
+
+        // With BRANCH_PREFIX off the replaced prefix only lends its rules: suggestions keep the original one
+        if (SEVERITY.BRANCH_PREFIX === 'off') {
+          const fixedStart = name.slice(0, name.length - branchName.length + prefix.length);
+          restorePrefix = suggestion => (suggestion.startsWith(fixedStart) ? prefix + suggestion.slice(fixedStart.length) : suggestion);
+        }
+      }
+    }
+
+    // Basic format validation, with the rules of the branch type (e.g. release/{version})
+    const rules = branchType ? BRANCH_RULES[branchType] : undefined;
+    const formatResult = validateFormat(name, 'branch', rules);
+    errors.push(...formatResult.errors);
+
+    // git's own ref-name rules (git check-ref-format) and the maximum length
+    const maxLength = CONFIG.branchRules.maxLength;
+    const refErrors = checkRefName(branchName, maxLength);
+
+    if (!formatResult.fields) {
+      addNewErrors(errors, refErrors);
+      const suggestion = refErrors.length > 0 ? sanitizeRefName(restorePrefix(name), maxLength) : undefined;
+      return conclude(errors, suggestion !== branchName ? suggestion : undefined, {
+        valid: true,
+        message: `✅ Branch name is valid`
+      });
+    }
+    if (name !== branchName) {
+      errors[0].suggestion = name;
+    }
+
+    // Check placeholder rules (e.g. description lowercase, dashes only)
+    const fieldResult = checkFields(formatResult.fields, 'branch', formatResult.format, rules && rules.descriptionChecks);
+    addNewErrors(errors, fieldResult.errors);
+    addNewErrors(errors, refErrors);
+
+    let suggestion;
+    if (errors.length > 0) {
+      suggestion = sanitizeRefName(restorePrefix(formatResult.format.render(fieldResult.fixedFields)), maxLength);
+    }
+
+    return conclude(errors, suggestion !== branchName ? suggestion : undefined, {
+      valid: true,
+      message: `✅ Branch name is valid`,
+      ticketId: formatResult.ticketId || null,
+      ticketIds: formatResult.ticketIds,
+      projectKey: formatResult.projectKey || null,
+      branchType: formatResult.fields.type ? resolveBranchType(formatResult.fields.type) : null,
+      version: formatResult.fields.version || null
+    });
   }
 
-  return {
-    valid: true,
-    message: `✅ Branch name is valid`,
-    ticketId: formatResult.ticketId,
-    projectKey: formatResult.projectKey
-  };
-}
+  /**
+   * Check the layout of a parsed commit message: subject length, trailing period,
+   * blank line after the subject and body line wrapping
+   */
+  function checkMessageLayout(message) {
+    const rules = CONFIG.commitRules;
+    const errors = [];
+    const subject = message.header;
 
-/**
- * Validate commit message format
- */
-function validateCommitMessage(commitMessage) {
-  console.log(`📝 Validating commit: ${commitMessage}`);
-  
-  // Skip validation if disabled
-  if (CONFIG.skipValidation) {
-    return {
+    if (rules.subjectMaxLength && subject.length > rules.subjectMaxLength) {
+      errors.push({
+        code: 'SUBJECT_MAX_LENGTH',
+        message: `Commit subject is ${subject.length} characters long (max ${rules.subjectMaxLength})`,
+        line: 1
+      });
+    }
+
+    if (!rules.allowTrailingPeriod && subject.trim().endsWith('.')) {
+      errors.push({
+        code: 'SUBJECT_TRAILING_PERIOD',
+        message: 'Commit subject must not end with a period',
+        suggestion: [subject.trim().replace(/\.+$/, '')].concat(message.lines.slice(1)).join('\n'),
+        line: 1
+      });
+    }
+
+    if (message.missingBlankLine) {
+      errors.push({
+        code: 'BLANK_LINE_MISSING',
+        message: 'Commit subject must be followed by a blank line',
+        suggestion: [subject, ''].concat(message.lines.slice(1)).join('\n'),
+        line: 2
+      });
+    }
+
+    if (rules.bodyMaxLineLength) {
+      message.bodyLines.forEach(bodyLine => {
+        // Long URLs cannot be wrapped
+        if (bodyLine.text.length > rules.bodyMaxLineLength && !/https?:\/\//.test(bodyLine.text)) {
+          errors.push({
+            code: 'BODY_LINE_LENGTH',
+            message: `Body line is ${bodyLine.text.length} characters long (max ${rules.bodyMaxLineLength})`,
+            line: bodyLine.line
+          });
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Rebuild a commit message with a (fixed) subject and the layout fixes applied:
+   * no trailing period and a blank line after the subject, unless their rules are 'off'
+   */
+  function fixMessageLayout(subject, message) {
+    const fixedSubject = CONFIG.commitRules.allowTrailingPeriod || SEVERITY.SUBJECT_TRAILING_PERIOD === 'off'
+      ? subject
+      : subject.trim().replace(/\.+$/, '');
+    const addBlankLine = message.missingBlankLine && SEVERITY.BLANK_LINE_MISSING !== 'off';
+    return [fixedSubject]
+      .concat(addBlankLine ? [''] : [], message.lines.slice(1))
+      .join('\n');
+  }
+
+  /**
+   * Example Conventional Commits message with the ticket in the first configured location
+   */
+  function getConventionalExample(ticketId, subject, type = CONFIG.conventional.types[0]) {
+    switch (CONFIG.conventional.ticketIn[0]) {
+      case 'subject':
+        return `${type}: ${ticketId} ${subject}`;
+      case 'footer':
+        return `${type}: ${subject}\n\nRefs: ${ticketId}`;
+      default:
+        return `${type}(${ticketId}): ${subject}`;
+    }
+  }
+
+  /**
+   * Find the ticket IDs in the first configured location (scope, subject, footer) that
+   * has any, so that ticket-like words elsewhere (`add SHA-256 checksums`) are not
+   * taken for tickets. Footers only count when they reference tickets (Refs, Closes, ...).
+   * Returns one { ticketId, location, line } per distinct ticket.
+   */
+  function findConventionalTickets(header, footers) {
+    for (const location of CONFIG.conventional.ticketIn) {
+      let sources = [];
+      if (location === 'scope' && header.scope) {
+        sources = [{ text: header.scope, line: 1 }];
+      } else if (location === 'subject') {
+        sources = [{ text: header.subject, line: 1 }];
+      } else if (location === 'footer') {
+        sources = getTicketFooters(footers).map(footer => ({ text: getFooterText(footer), line: footer.line }));
+      }
+      const found = [];
+      sources.forEach(source => {
+        extractTicketIds(source.text).forEach(ticketId => {
+          if (!found.some(ticket => ticket.ticketId === ticketId)) {
+            found.push({ ticketId, location, line: source.line });
+          }
+        });
+      });
+      if (found.length > 0) return found;
+    }
+    return [];
+  }
+
+  /**
+   * Validate a commit message in Conventional Commits mode: type(scope)!: subject,
+   * optional body and footers, with the ticket ID in the scope, subject or a footer
+   */
+  function validateConventionalCommit(commitMessage) {
+    const message = parseCommitMessage(commitMessage);
+    const header = parseConventionalHeader(message.header);
+    if (!header) {
+      return conclude([{
+        code: 'COMMIT_FORMAT',
+        message: `Invalid commit format. Expected: ${getExpectedFormat('commit')}`,
+        line: 1
+      }], undefined, {
+        valid: true,
+        message: `✅ Commit message is valid`
+      });
+    }
+
+    const errors = [];
+    if (!CONFIG.conventional.types.includes(header.type)) {
+      errors.push({
+        code: 'COMMIT_TYPE',
+        message: `Unknown commit type '${header.type}'. Valid types: ${CONFIG.conventional.types.join(', ')}`,
+        line: 1
+      });
+    }
+
+    if (!header.subject.trim()) {
+      errors.push({ code: 'SUBJECT_EMPTY', message: 'Commit subject cannot be empty', line: 1 });
+    }
+
+    const tickets = findConventionalTickets(header, message.footers);
+    const found = tickets[0];
+    let projectKey = null;
+    if (!found) {
+      errors.push({
+        code: 'TICKET_MISSING',
+        message: `No valid ticket ID found in commit ${CONFIG.conventional.ticketIn.join(' or ')}`,
+        suggestion: header.subject.trim()
+          ? getConventionalExample(TICKET_SYNTAX.example, header.subject, header.type)
+          : undefined,
+        line: 1
+      });
+    } else {
+      projectKey = getProjectKey(found.ticketId);
+      tickets.forEach(ticket => {
+        const keyError = checkProjectKey(getProjectKey(ticket.ticketId));
+        if (keyError && !errors.some(error => error.message === keyError.message)) {
+          errors.push(Object.assign(keyError, { line: ticket.line }));
+        }
+      });
+    }
+
+    errors.push(...checkMessageLayout(message));
+
+    const parsed = {
+      type: header.type,
+      scope: header.scope,
+      breaking: header.breaking || hasBreakingFooter(message.footers),
+      subject: header.subject,
+      body: message.body,
+      footers: message.footers
+    };
+
+    // Only suggest messages that still parse, with a subject: the layout fixes cannot
+    // make one up (`feat(SHOP-1): .` would become `feat(SHOP-1):`)
+    let suggestion;
+    if (errors.length > 0) {
+      suggestion = found ? fixMessageLayout(message.header, message) : errors.find(e => e.code === 'TICKET_MISSING').suggestion;
+      const fixedHeader = suggestion && parseConventionalHeader(suggestion.split('\n')[0]);
+      if (!fixedHeader || !fixedHeader.subject.trim()) suggestion = undefined;
+    }
+
+    return conclude(errors, suggestion !== commitMessage ? suggestion : undefined, Object.assign({
       valid: true,
-      message: '✅ Commit validation skipped (SKIP_VALIDATION=true)',
-      skipped: true
+      message: `✅ Commit message is valid`,
+      ticketId: found ? found.ticketId : null,
+      ticketIds: tickets.map(ticket => ticket.ticketId),
+      projectKey: projectKey
+    }, parsed), parsed);
+  }
+
+  /**
+   * Check tracker issues against the status and assignee policies. The committer
+   * email is only looked up when the TICKET_ASSIGNEE rule is enabled.
+   */
+  function checkIssuePolicies(issues, email) {
+    const errors = [];
+    const committer = SEVERITY.TICKET_ASSIGNEE === 'off' ? null
+      : email || getUserEmail(options.cwd);
+
+    issues.forEach(issue => {
+      if (TRACKER.isClosed(issue)) {
+        errors.push({
+          code: 'TICKET_CLOSED',
+          message: `Ticket ${issue.id} is ${issue.status}. Use a ticket that is still open`,
+          ticketId: issue.id
+        });
+      }
+      if (TRACKER.isBacklog(issue)) {
+        errors.push({
+          code: 'TICKET_BACKLOG',
+          message: `Ticket ${issue.id} is still in ${issue.status}. Move it out of the backlog before starting work`,
+          ticketId: issue.id
+        });
+      }
+      if (SEVERITY.TICKET_ASSIGNEE === 'off') return;
+
+      let problem = null;
+      if (!committer) {
+        problem = 'git config user.email is not set';
+      } else if (!issue.assignee) {
+        problem = `it is unassigned (expected ${committer})`;
+      } else if (!issue.assignee.email) {
+        problem = `${issue.tracker || TRACKER.name} does not share the email of its assignee ${issue.assignee.name}`;
+      } else if (issue.assignee.email.toLowerCase() !== committer.toLowerCase()) {
+        problem = `it is assigned to ${issue.assignee.name || issue.assignee.email}, not ${committer}`;
+      }
+      if (problem) {
+        errors.push({
+          code: 'TICKET_ASSIGNEE',
+          message: `Cannot start work on ticket ${issue.id}: ${problem}`,
+          ticketId: issue.id
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Check that the branch description shares at least one word with the summary of its
+   * tickets, ignoring stopwords and words under three letters. Words match on their
+   * first four letters or when one starts with the other, so `log` and `login` match
+   * `logins`. Returns { errors, suggestion },
+   * suggesting a branch name built from the summary for single-ticket branches.
+   */
+  function checkIssueSummaries(branchName, result, issues) {
+    const summaries = issues.filter(issue => issue.summary);
+    if (SEVERITY.TICKET_SUMMARY === 'off' || summaries.length === 0) return { errors: [] };
+
+    const rules = result.branchType ? BRANCH_RULES[result.branchType] : undefined;
+    const fields = validateFormat(branchName, 'branch', rules).fields || {};
+    const description = fields.description || fields.slug;
+    if (!description) return { errors: [] };
+
+    const wordsOf = text => slugify(text, { stopwords: STOPWORDS }).split('-')
+      .filter(word => word.length >= 3 && !/^\d+$/.test(word));
+    const similar = (a, b) => a.slice(0, 4) === b.slice(0, 4) || a.startsWith(b) || b.startsWith(a);
+    const described = wordsOf(description);
+    const related = summaries.some(issue =>
+      wordsOf(issue.summary).some(word => described.some(other => similar(word, other))));
+    if (related) return { errors: [] };
+
+    let suggestion;
+    if (summaries.length === 1 && result.ticketIds.length === 1) {
+      try {
+        suggestion = generateBranchName(summaries[0].summary, {
+          type: result.branchType || undefined,
+          ticket: summaries[0].id,
+          stopwords: true
+        }).branchName;
+      } catch (error) {
+        // No suggestion when the branch type's format cannot be generated
+      }
+    }
+    return {
+      errors: [{
+        code: 'TICKET_SUMMARY',
+        message: `Branch description '${description}' has nothing in common with ${summaries
+          .map(issue => `${issue.id} "${issue.summary}"`).join(', ')}`,
+        ticketId: summaries[0].id
+      }],
+      suggestion
     };
   }
 
-  // Basic format validation
-  const formatResult = validateFormat(commitMessage, 'commit');
-  if (!formatResult.valid) {
-    return formatResult;
+  /**
+   * Check the branch type against the issue types of its tickets (issueTypes setting).
+   * Returns { errors, suggestion }, suggesting the branch name with the first type
+   * allowed for the issue.
+   */
+  function checkIssueTypes(branchName, branchType, issues) {
+    const errors = [];
+    let suggestion;
+    if (!branchType) return { errors };
+
+    issues.forEach(issue => {
+      const allowed = issue.type ? ISSUE_TYPES[issue.type.toLowerCase()] : null;
+      if (!allowed || allowed.includes(branchType)) return;
+
+      errors.push({
+        code: 'TICKET_TYPE',
+        message: `Ticket ${issue.id} is a ${issue.type}, which needs a ${allowed.join(' or ')} branch (not ${branchType})`,
+        ticketId: issue.id
+      });
+      if (suggestion === undefined) {
+        const rules = BRANCH_RULES[branchType];
+        const format = [rules.format].concat(rules.ticketlessFormat || []).find(candidate => candidate.match(branchName));
+        const fields = format && format.match(branchName);
+        suggestion = fields && fields.type !== undefined
+          ? format.render(Object.assign({}, fields, { type: allowed[0] }))
+          : undefined;
+      }
+    });
+
+    return { errors, suggestion };
   }
 
-  // Check description format (lowercase, dashes only)
-  const parts = commitMessage.match(PATTERNS.commit);
-  if (parts && parts[3]) {
-    const description = parts[3];
-    
-    // Check for spaces
-    if (description.includes(' ')) {
+  /**
+   * Validate a branch name, then look its tickets up in the issue tracker. Resolves
+   * with the validateBranchName result plus `issues`. Tickets the tracker does not
+   * know are reported as TICKET_NOT_FOUND, lookup failures as TRACKER_ERROR, and
+   * tickets breaking a policy as TICKET_CLOSED, TICKET_BACKLOG, TICKET_ASSIGNEE,
+   * TICKET_TYPE (issue type not allowed on this branch type) or TICKET_SUMMARY
+   * (description unrelated to the ticket summary).
+   * Options: email (committer email, default: git config user.email).
+   * Without a tracker, or for invalid and ticketless branches, the result is unchanged.
+   */
+  async function validateBranchNameAsync(branchName, checkOptions = {}) {
+    const result = validateBranchName(branchName);
+    if (!TRACKER || !result.valid || !result.ticketIds || result.ticketIds.length === 0) {
+      return result;
+    }
+    logger.info(`🔍 Looking up ${result.ticketIds.join(', ')} in ${TRACKER.name}`);
+    let lookup;
+    try {
+      lookup = await TRACKER.getIssues(result.ticketIds);
+    } catch (error) {
+      return addErrors(result, [{
+        code: 'TRACKER_ERROR',
+        message: `Could not look up ${result.ticketIds.join(', ')}: ${error.message}`
+      }]);
+    }
+
+    const errors = lookup.missing.map(missing => ({
+      code: 'TICKET_NOT_FOUND',
+      message: missing.tracker === 'registry'
+        ? `Ticket ${missing.id} is not listed in the ticket registry`
+        : `Ticket ${missing.id} does not exist in ${missing.tracker} or is not accessible`,
+      ticketId: missing.id
+    }));
+    errors.push(...checkIssuePolicies(lookup.issues, checkOptions.email));
+    const typeCheck = checkIssueTypes(branchName, result.branchType, lookup.issues);
+    errors.push(...typeCheck.errors);
+    const summaryCheck = checkIssueSummaries(branchName, result, lookup.issues);
+    errors.push(...summaryCheck.errors);
+    const checked = Object.assign({}, result, { issues: lookup.issues });
+    if (lookup.skipped.length > 0) {
+      checked.trackerSkipped = lookup.skipped.join('; ');
+    }
+    return addErrors(checked, errors, typeCheck.suggestion || summaryCheck.suggestion);
+  }
+
+  /**
+   * Refresh the offline ticket registry from its source tracker (the `tracker` setting
+   * must use the 'registry' provider with a source). Resolves with { file, syncedAt,
+   * count, routes }; rejects when the source cannot be reached.
+   */
+  async function syncTickets() {
+    logger.info('🔄 Syncing the ticket registry');
+    return syncTrackerTickets(CONFIG.tracker, {
+      env: options.env,
+      baseDir: TRACKER_DIR,
+      projectKeys: TICKET_SYNTAX.keyed ? CONFIG.projectKeys : []
+    });
+  }
+
+  /**
+   * Validate commit message format
+   */
+  function validateCommitMessage(commitMessage) {
+    logger.info(`📝 Validating commit: ${commitMessage}`);
+
+    // Skip validation if disabled
+    if (CONFIG.skipValidation) {
       return {
-        valid: false,
-        message: '❌ Commit description cannot contain spaces. Use dashes (-) instead',
-        suggestion: `${parts[1]}-${parts[2]}-${description.replace(/\s+/g, '-')}`
+        valid: true,
+        message: '✅ Commit validation skipped (SKIP_VALIDATION=true)',
+        skipped: true
       };
     }
-    
-    // Check for underscores  
-    if (description.includes('_')) {
+
+    // Accept messages written by git itself (merges, reverts, fixup!/squash!)
+    if (isGeneratedMessage(commitMessage)) {
       return {
-        valid: false,
-        message: '❌ Commit description cannot contain underscores. Use dashes (-) instead',
-        suggestion: `${parts[1]}-${parts[2]}-${description.replace(/_/g, '-')}`
+        valid: true,
+        message: '✅ Git-generated commit message accepted',
+        generated: true,
+        errors: []
       };
     }
-    
-    // Check for uppercase
-    if (description !== description.toLowerCase()) {
+
+    if (CONFIG.commitConvention === 'conventional') {
+      return validateConventionalCommit(commitMessage);
+    }
+
+    // Only the subject line carries the ticket and follows commitFormat
+    const message = parseCommitMessage(commitMessage);
+    const body = message.lines.slice(1);
+
+    // Basic format validation
+    const formatResult = validateFormat(message.header, 'commit');
+    const errors = formatResult.errors.map(error => Object.assign(error, { line: 1 }));
+    let fixedSubject = message.header;
+
+    // Check placeholder rules (e.g. description lowercase, dashes only)
+    if (formatResult.fields) {
+      const fieldResult = checkFields(formatResult.fields, 'commit');
+      addNewErrors(errors, fieldResult.errors.map(error => Object.assign(error, {
+        suggestion: [error.suggestion].concat(body).join('\n'),
+        line: 1
+      })));
+      fixedSubject = FORMATS.commit.render(fieldResult.fixedFields);
+
+      // Ticket trailers such as `Refs: SHOP-12, PROJ-7` add more tickets
+      getTicketFooters(message.footers).forEach(footer => {
+        const ticketIds = extractTicketIds(getFooterText(footer))
+          .filter(ticketId => !formatResult.ticketIds.includes(ticketId));
+        formatResult.ticketIds.push(...ticketIds);
+        checkProjectKeys(ticketIds, CONFIG.projectKeys, '').forEach(keyError => {
+          if (!errors.some(error => error.message === keyError.message)) {
+            errors.push(Object.assign(keyError, { line: footer.line }));
+          }
+        });
+      });
+
+      // Subject length, trailing period, blank line and body wrapping
+      errors.push(...checkMessageLayout(message));
+    }
+
+    let suggestion;
+    if (errors.length > 0 && formatResult.fields) {
+      suggestion = fixMessageLayout(fixedSubject, message);
+    }
+
+    return conclude(errors, suggestion !== commitMessage ? suggestion : undefined, {
+      valid: true,
+      message: `✅ Commit message is valid`,
+      ticketId: formatResult.ticketId,
+      ticketIds: formatResult.ticketIds || [],
+      projectKey: formatResult.projectKey,
+      subject: message.header,
+      body: message.body,
+      trailers: message.footers
+    });
+  }
+
+  /**
+   * Check that a valid branch and a valid commit share at least one ticket.
+   * Returns a TICKET_MISMATCH error listing both sets, or null when they agree or
+   * cannot be compared.
+   */
+  function checkTicketConsistency(branchResult, commitResult) {
+    const branchIds = branchResult.ticketIds || (branchResult.ticketId ? [branchResult.ticketId] : []);
+    const commitIds = commitResult.ticketIds || (commitResult.ticketId ? [commitResult.ticketId] : []);
+    if (!branchResult.valid || !commitResult.valid || branchIds.length === 0 || commitIds.length === 0 ||
+        branchIds.some(ticketId => commitIds.includes(ticketId))) {
+      return null;
+    }
+
+    const list = ticketIds => (ticketIds.length === 1 ? ticketIds[0] : `[${ticketIds.join(', ')}]`);
+    return {
+      code: 'TICKET_MISMATCH',
+      message: `Ticket ID mismatch: Branch has ${list(branchIds)}, commit has ${list(commitIds)}`,
+      branchTicketIds: branchIds,
+      commitTicketIds: commitIds
+    };
+  }
+
+  /**
+   * Validate a list of commits ({ sha, message }), e.g. a push range, checking each
+   * commit's ticket against the branch when a branch name is given
+   */
+  function validateCommits(commits, branchName) {
+    const branchResult = branchName ? validateBranchName(branchName) : null;
+
+    const commitResults = commits.map(commit => {
+      let result = validateCommitMessage(commit.message);
+      const mismatch = branchResult && checkTicketConsistency(branchResult, result);
+      if (mismatch) {
+        result = addErrors(result, [mismatch]);
+      }
       return {
-        valid: false,
-        message: '❌ Commit description must be lowercase',
-        suggestion: `${parts[1]}-${parts[2]}-${description.toLowerCase()}`
+        sha: commit.sha,
+        shortSha: commit.sha.slice(0, 7),
+        subject: commit.message.split('\n')[0],
+        result
       };
+    });
+
+    const failed = commitResults.filter(commit => !commit.result.valid).length;
+    const branchValid = !branchResult || branchResult.valid;
+
+    let message = `✅ All ${commitResults.length} commits are valid`;
+    if (failed > 0) {
+      message = `❌ ${failed} of ${commitResults.length} commits failed validation`;
+    } else if (!branchValid) {
+      message = '❌ Branch name is invalid';
     }
+
+    return {
+      valid: failed === 0 && branchValid,
+      message,
+      branchResult,
+      commits: commitResults
+    };
   }
 
-  return {
-    valid: true,
-    message: `✅ Commit message is valid`,
-    ticketId: formatResult.ticketId,
-    projectKey: formatResult.projectKey
-  };
-}
+  /**
+   * Validate both branch and commit together
+   */
+  function validateBoth(branchName, commitMessage) {
+    logger.info(`🔄 Validating both branch and commit...`);
 
-/**
- * Validate both branch and commit together
- */
-function validateBoth(branchName, commitMessage) {
-  console.log(`🔄 Validating both branch and commit...`);
-  
-  const branchResult = validateBranchName(branchName);
-  const commitResult = validateCommitMessage(commitMessage);
-  
-  // Check if ticket IDs match
-  if (branchResult.valid && commitResult.valid && 
-      branchResult.ticketId && commitResult.ticketId &&
-      branchResult.ticketId !== commitResult.ticketId) {
-    return {
-      valid: false,
-      message: `❌ Ticket ID mismatch: Branch has ${branchResult.ticketId}, commit has ${commitResult.ticketId}`,
+    const branchResult = validateBranchName(branchName);
+    const commitResult = validateCommitMessage(commitMessage);
+
+    const valid = branchResult.valid && commitResult.valid;
+    const result = {
+      valid,
+      message: valid ? '✅ Both branch and commit are valid' : '❌ Validation failed',
+      errors: (branchResult.errors || []).concat(commitResult.errors || []),
+      warnings: (branchResult.warnings || []).concat(commitResult.warnings || []),
       branchResult,
       commitResult
     };
+
+    // Check if ticket IDs match
+    const mismatch = checkTicketConsistency(branchResult, commitResult);
+    return mismatch ? addErrors(result, [mismatch]) : result;
+  }
+
+  // Placeholders generateBranchName fills from its options and the title
+  const GENERATED_FIELDS = ['type', 'ticket', 'description', 'slug'];
+
+  /**
+   * The branch types generateBranchName can build names for: those whose format has no
+   * placeholders other than {type}, {ticket}, {description} and {slug} (so not
+   * `{type}/{version}`). Returns [{ name, ticket }] with ticket 'required', 'optional'
+   * or 'none' (the format has no {ticket}).
+   */
+  function getGeneratedBranchTypes() {
+    return CONFIG.branchTypes
+      .map(type => BRANCH_RULES[type.name])
+      .filter(rules => rules.format.names.every(name => GENERATED_FIELDS.includes(name)))
+      .map(rules => ({ name: rules.name, ticket: rules.format.names.includes('ticket') ? rules.ticket : 'none' }));
+  }
+
+  /**
+   * Generate a branch name from a title, e.g. 'Fix SSO login' with { type: 'bugfix',
+   * ticket: 'SHOP-1' } gives bugfix/SHOP-1-fix-sso-login. Options: type (default: the
+   * first branch type), ticket and stopwords (true or a list of words to drop).
+   * Returns the validateBranchName result for the name, with the name as branchName.
+   */
+  function generateBranchName(title, options = {}) {
+    const type = options.type || CONFIG.branchTypes[0].name;
+    const typeName = resolveBranchType(type);
+    if (!typeName) {
+      throw new Error(`Unknown branch type '${type}'. Valid types: ${getBranchPrefixes().join(', ')}`);
+    }
+
+    const rules = BRANCH_RULES[typeName];
+    const format = !options.ticket && rules.ticketlessFormat ? rules.ticketlessFormat : rules.format;
+    if (format.names.includes('ticket') && !options.ticket) {
+      throw new Error(`A ticket is required for ${typeName} branches`);
+    }
+    const unfilled = format.names.filter(name => !GENERATED_FIELDS.includes(name));
+    if (unfilled.length > 0) {
+      throw new Error(`Cannot generate a ${typeName} branch name: ${unfilled.map(name => `{${name}}`).join(', ')} ` +
+        `in "${format.template}" cannot be filled from a title`);
+    }
+
+    // Cap the slug so that the whole name fits branchRules.maxLength
+    const fields = { type, ticket: options.ticket, description: '', slug: '' };
+    const limits = [
+      CONFIG.branchRules.maxLength ? CONFIG.branchRules.maxLength - format.render(fields).length : 0,
+      rules.descriptionMaxLength
+    ].filter(limit => limit > 0);
+    const slug = slugify(title, {
+      stopwords: options.stopwords,
+      maxLength: limits.length > 0 ? Math.min.apply(null, limits) : 0
+    });
+    if (!slug) {
+      throw new Error(`Title "${title}" has no words to build a branch name from`);
+    }
+
+    const branchName = format.render(Object.assign(fields, { description: slug, slug }));
+    return Object.assign({ branchName }, validateBranchName(branchName));
+  }
+
+  /**
+   * Prefill a commit message with the ticket ID from the branch name.
+   * Used by the prepare-commit-msg hook; the message is returned unchanged when it
+   * already has a ticket on its first line or the commit format does not start with {ticket}.
+   */
+  function prefillCommitMessage(commitMessage, branchName) {
+    const ticketId = extractTicketId(branchName || '');
+    const lines = commitMessage.split('\n');
+    if (!ticketId || extractTicketId(lines[0]) || CONFIG.commitConvention === 'conventional') {
+      return commitMessage;
+    }
+
+    const [first, second] = FORMATS.commit.tokens;
+    if (!first || first.placeholder !== 'ticket' || !second || !second.literal) {
+      return commitMessage;
+    }
+
+    lines[0] = `${ticketId}${second.literal}${lines[0]}`;
+    return lines.join('\n');
+  }
+
+  /**
+   * Get the effective configuration, where each setting came from, and the config file used
+   */
+  function getConfig() {
+    return {
+      valid: true,
+      config: CONFIG,
+      sources: CONFIG_SOURCES,
+      configFile: loaded.configFile
+    };
+  }
+
+  /**
+   * Print configuration info to output (default: console), for display on request
+   */
+  function showConfig(output = console) {
+    output.log('\n🔧 Validator Configuration:');
+    output.log(`📁 Config File: ${loaded.configFile || 'none (using defaults and environment)'}`);
+    output.log(`📋 Valid Project Keys: ${CONFIG.projectKeys.join(', ')} (from ${CONFIG_SOURCES.projectKeys})`);
+    output.log(`🎫 Ticket Syntax: ${TICKET_SYNTAX.name} (e.g. ${TICKET_SYNTAX.example}, from ${CONFIG_SOURCES.ticketSyntax})`);
+    output.log(`⏭️  Skip Validation: ${CONFIG.skipValidation} (from ${CONFIG_SOURCES.skipValidation})`);
+    if (TRACKER) {
+      output.log(`🔗 Issue Tracker (from ${CONFIG_SOURCES.tracker}):`);
+      TRACKER.routes.forEach(route => {
+        const status = route.skipped ? `skipped: ${route.skipped}` : 'enabled';
+        output.log(`   ${route.key ? `${route.key} tickets` : 'Default'}: ${route.name} (${status})`);
+      });
+    } else {
+      output.log('🔗 Issue Tracker: none (format checks only)');
+    }
+    output.log('\n📝 Expected Formats:');
+    output.log(`🌿 Branch: ${FORMATS.branch.render()} (${CONFIG.branchFormat}, from ${CONFIG_SOURCES.branchFormat})`);
+    if (CONFIG.commitConvention === 'conventional') {
+      output.log(`💬 Commit: ${getExpectedFormat('commit')} (Conventional Commits, from ${CONFIG_SOURCES.commitConvention})`);
+      output.log(`   Types: ${CONFIG.conventional.types.join(', ')}`);
+      output.log(`   Ticket in: ${CONFIG.conventional.ticketIn.join(', ')}`);
+    } else {
+      output.log(`💬 Commit: ${FORMATS.commit.render()} (${CONFIG.commitFormat}, from ${CONFIG_SOURCES.commitFormat})`);
+    }
+    output.log(`\n📚 Valid Prefixes (from ${CONFIG_SOURCES.branchTypes}):`);
+    CONFIG.branchTypes.forEach(type => {
+      const rules = BRANCH_RULES[type.name];
+      const details = [];
+      if (type.aliases.length > 0) details.push(`aliases: ${type.aliases.map(a => `${a}/`).join(', ')}`);
+      if (type.format) details.push(`format: ${type.format}`);
+      if (rules.ticket === 'optional') details.push('ticket optional');
+      if (type.projectKeys) details.push(`keys: ${rules.projectKeys.join(', ')}`);
+      output.log(`   ${type.name}/${details.length > 0 ? ` (${details.join('; ')})` : ''}`);
+    });
+    output.log(`\n🚧 Exempt Branches (from ${CONFIG_SOURCES.exemptBranches}): ${EXEMPT_BRANCHES.map(e => e.rule).join(', ') || 'none'}`);
+    if (Object.keys(CONFIG.issueTypes || {}).length > 0) {
+      const mapping = Object.keys(CONFIG.issueTypes).map(issueType => `${issueType} → ${ISSUE_TYPES[issueType.toLowerCase()].join(', ')}`);
+      output.log(`🧩 Issue Types (from ${CONFIG_SOURCES.issueTypes}): ${mapping.join('; ')}`);
+    }
+    const rules = CONFIG.rules || {};
+    const configured = Object.keys(rules).map(code => `${code}: ${SEVERITY[code]}`);
+    const defaults = Object.keys(DEFAULT_SEVERITIES).filter(code => !(code in rules))
+      .map(code => `${code}: ${DEFAULT_SEVERITIES[code]}`);
+    output.log(configured.length > 0
+      ? `⚖️  Rule Severities (from ${CONFIG_SOURCES.rules}): ${configured.join(', ')}`
+      : '⚖️  Rule Severities: none configured');
+    output.log(`   Defaults: ${defaults.concat('other rules: error').join(', ')}`);
+
+    return getConfig();
   }
-  
+
   return {
-    valid: branchResult.valid && commitResult.valid,
-    message: branchResult.valid && commitResult.valid 
-      ? '✅ Both branch and commit are valid'
-      : '❌ Validation failed',
-    branchResult,
-    commitResult
+    validateBranchName,
+    validateBranchNameAsync,
+    syncTickets,
+    validateCommitMessage,
+    validateBoth,
+    validateCommits,
+    showConfig,
+    getConfig,
+    extractTicketId,
+    extractTicketIds,
+    generateBranchName,
+    getGeneratedBranchTypes,
+    prefillCommitMessage,
+    config: CONFIG,
+    sources: CONFIG_SOURCES
   };
 }
 
+// Validator for the current directory and environment, used by the module-level API.
+// It is created on first use, so that a broken config file fails that call (which the
+// caller can catch) instead of require() itself.
+let defaultValidator = null;
+
 /**
- * Show configuration info
+ * The validator behind the module-level API, created on first use
  */
-function showConfig() {
-  console.log('\n🔧 Validator Configuration:');
-  console.log(`📋 Valid Project Keys: ${CONFIG.projectKeys.join(', ')}`);
-  console.log(`⏭️  Skip Validation: ${CONFIG.skipValidation}`);
-  console.log('\n📝 Expected Formats:');
-  console.log(`🌿 Branch: feature/${CONFIG.projectKeys[0]}-1234-description`);
-  console.log(`💬 Commit: ${CONFIG.projectKeys[0]}-1234-description`);
-  console.log('\n📚 Valid Prefixes: feature/, bugfix/, hotfix/, release/, chore/');
-  
-  return {
-    valid: true,
-    config: CONFIG
-  };
+function getDefaultValidator() {
+  defaultValidator = defaultValidator || createValidator();
+  return defaultValidator;
+}
+
+/**
+ * A module-level function calling the default validator's method of the same name
+ */
+function useDefaultValidator(name) {
+  return (...args) => getDefaultValidator()[name](...args);
 }
 
 module.exports = {
-  validateBranchName,
-  validateCommitMessage,
-  validateBoth,
-  showConfig,
-  extractTicketId,
-  CONFIG
-};
\ No newline at end of file
+  createValidator,
+  validateBranchName: useDefaultValidator('validateBranchName'),
+  validateBranchNameAsync: useDefaultValidator('validateBranchNameAsync'),
+  syncTickets: useDefaultValidator('syncTickets'),
+  validateCommitMessage: useDefaultValidator('validateCommitMessage'),
+  validateBoth: useDefaultValidator('validateBoth'),
+  validateCommits: useDefaultValidator('validateCommits'),
+  showConfig: useDefaultValidator('showConfig'),
+  getConfig: useDefaultValidator('getConfig'),
+  extractTicketId: useDefaultValidator('extractTicketId'),
+  extractTicketIds: useDefaultValidator('extractTicketIds'),
+  generateBranchName: useDefaultValidator('generateBranchName'),
+  getGeneratedBranchTypes: useDefaultValidator('getGeneratedBranchTypes'),
+  prefillCommitMessage: useDefaultValidator('prefillCommitMessage'),
+  ERROR_CODES,
+  get CONFIG() {
+    return getDefaultValidator().config;
+  },
+  get CONFIG_SOURCES() {
+    return getDefaultValidator().sources;
+  }
+};
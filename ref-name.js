@@ -0,0 +1,113 @@
+/**
+ * Git ref-name rules
+ *
+ * Implements the rules of `git check-ref-format --branch` for branch names:
+ * - no control characters, spaces, ~ ^ : ? * [ or \
+ * - no `..`, `@{` or consecutive slashes
+ * - no leading or trailing slash, no trailing dot
+ * - no path component starting with a dot or ending with `.lock`
+ * - not `@` or `HEAD`, and not starting with a dash
+ * plus an optional maximum length.
+ */
+
+// Characters git never allows in a ref name (spaces are reported separately)
+const INVALID_CHARS = /[\x00-\x1f\x7f~^:?*[\\]/;
+
+/**
+ * Describe the invalid characters found in a name, e.g. "'~', '^' and control characters"
+ */
+function describeInvalidChars(name) {
+  const found = [];
+  let control = false;
+  (name.match(new RegExp(INVALID_CHARS.source, 'g')) || []).forEach(char => {
+    if (/[\x00-\x1f\x7f]/.test(char)) {
+      control = true;
+    } else if (!found.includes(char)) {
+      found.push(char);
+    }
+  });
+  const parts = found.map(char => `'${char}'`).concat(control ? ['control characters'] : []);
+  return parts.length > 1 ? `${parts.slice(0, -1).join(', ')} and ${parts[parts.length - 1]}` : parts[0];
+}
+
+/**
+ * Check a branch name against git's ref-name rules. Returns a list of
+ * { code, message } errors; maxLength 0 disables the length check.
+ */
+function checkRefName(name, maxLength = 0) {
+  const errors = [];
+  const components = name.split('/');
+
+  if (name === '@' || name === 'HEAD') {
+    errors.push({ code: 'REF_RESERVED', message: `'${name}' cannot be used as a branch name` });
+  }
+  if (name.startsWith('-')) {
+    errors.push({ code: 'REF_LEADING_DASH', message: 'Branch name cannot start with a dash' });
+  }
+  if (INVALID_CHARS.test(name)) {
+    errors.push({
+      code: 'REF_INVALID_CHAR',
+      message: `Branch name cannot contain ${describeInvalidChars(name)}`
+    });
+  }
+  if (name.includes(' ')) {
+    errors.push({ code: 'DESC_SPACES', message: 'Branch name cannot contain spaces. Use dashes (-) instead' });
+  }
+  if (name.includes('..')) {
+    errors.push({ code: 'REF_DOUBLE_DOT', message: 'Branch name cannot contain two consecutive dots (..)' });
+  }
+  if (name.includes('@{')) {
+    errors.push({ code: 'REF_AT_BRACE', message: 'Branch name cannot contain @{' });
+  }
+  if (name.startsWith('/') || name.endsWith('/') || name.includes('//')) {
+    errors.push({
+      code: 'REF_SLASH',
+      message: 'Branch name cannot start or end with a slash or contain consecutive slashes'
+    });
+  }
+  if (components.some(component => component.startsWith('.'))) {
+    errors.push({ code: 'REF_COMPONENT_DOT', message: 'No part of a branch name can start with a dot' });
+  }
+  if (components.some(component => component.endsWith('.lock'))) {
+    errors.push({ code: 'REF_LOCK_SUFFIX', message: 'No part of a branch name can end with .lock' });
+  }
+  if (name.endsWith('.')) {
+    errors.push({ code: 'REF_TRAILING_DOT', message: 'Branch name cannot end with a dot' });
+  }
+  if (maxLength && name.length > maxLength) {
+    errors.push({
+      code: 'BRANCH_MAX_LENGTH',
+      message: `Branch name is ${name.length} characters long (max ${maxLength})`
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Turn a name into one that passes checkRefName: invalid characters become dashes,
+ * dot and slash runs collapse, and forbidden starts and endings are removed
+ */
+function sanitizeRefName(name, maxLength = 0) {
+  let sanitized = name
+    .replace(/@\{([^}]*)\}?/g, '-$1')
+    .replace(new RegExp(`(?:${INVALID_CHARS.source}|\\s)+`, 'g'), '-')
+    .replace(/-{2,}/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .replace(/\/{2,}/g, '/')
+    .split('/')
+    .map(component => component.replace(/^\.+/, '').replace(/(\.lock)+$/, ''))
+    .filter(Boolean)
+    .join('/');
+
+  if (maxLength && sanitized.length > maxLength) {
+    sanitized = sanitized.slice(0, maxLength);
+  }
+
+  return sanitized.replace(/^[-.]+/, '').replace(/[-./]+$/, '');
+}
+
+module.exports = {
+  checkRefName,
+  sanitizeRefName
+};
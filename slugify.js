@@ -0,0 +1,61 @@
+/**
+ * Title to branch description slugs
+ *
+ * "Fix user can't log in with SSO (Okta)" becomes "fix-user-cant-log-in-with-sso-okta":
+ * accented letters are transliterated to ASCII, apostrophes are dropped,
+ * other punctuation separates words, and the result is lowercase with dashes.
+ * Stopwords can be dropped and the slug capped at a length, cutting at a word boundary.
+ */
+
+const STOPWORDS = [
+  'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for',
+  'with', 'from', 'into', 'is', 'are', 'be', 'it', 'its', 'as', 'that', 'this'
+];
+
+// Letters that Unicode normalization does not decompose into ASCII
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', ł: 'l', Ł: 'L',
+  đ: 'd', Đ: 'D', ð: 'd', Ð: 'D', þ: 'th', Þ: 'TH', ı: 'i', '&': ' and '
+};
+
+/**
+ * Replace accented and special letters with their closest ASCII equivalent
+ */
+function transliterate(text) {
+  return text
+    .replace(/[ßæÆœŒøØłŁđĐðÐþÞı&]/g, char => TRANSLITERATIONS[char])
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Turn a title into a lowercase, dash-separated slug.
+ * Options: stopwords (true for the built-in English list, or an array of words)
+ * and maxLength (0 for no limit).
+ */
+function slugify(title, options = {}) {
+  const stopwords = options.stopwords === true ? STOPWORDS : options.stopwords || [];
+
+  const words = transliterate(String(title))
+    .toLowerCase()
+    .replace(/['‘’`]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !stopwords.includes(word));
+
+  let slug = words.join('-');
+  if (options.maxLength && slug.length > options.maxLength) {
+    const cut = slug.slice(0, options.maxLength);
+    // Keep whole words unless the first word alone is too long
+    slug = slug.charAt(options.maxLength) === '-' || !cut.includes('-')
+      ? cut
+      : cut.slice(0, cut.lastIndexOf('-'));
+  }
+
+  return slug.replace(/-+$/, '');
+}
+
+module.exports = {
+  slugify,
+  transliterate,
+  STOPWORDS
+};
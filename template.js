@@ -0,0 +1,153 @@
+/**
+ * Naming format templates
+ *
+ * A template such as `{type}/{ticket}-{description}` or `{ticket}: {Subject}`
+ * is made of literal text and `{placeholder}` tokens. Each placeholder is
+ * described by a rule object:
+ * - pattern: regular expression source the placeholder must match (it may contain
+ *   capture groups of its own, e.g. named groups of a ticket syntax)
+ * - example: sample value used when rendering the expected format
+ * - checks: optional list of { test, message, fix } applied to the captured value
+ */
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Count the capture groups in a regular expression source
+ */
+function countGroups(source) {
+  return new RegExp(`(?:${source})|`).exec('').length - 1;
+}
+
+/**
+ * Split a template into literal and placeholder tokens
+ */
+function parseTemplate(template) {
+  const tokens = [];
+  const tokenPattern = /\{(\w+)\}/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tokenPattern.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ literal: template.slice(lastIndex, match.index) });
+    }
+    tokens.push({ placeholder: match[1] });
+    lastIndex = tokenPattern.lastIndex;
+  }
+  if (lastIndex < template.length) {
+    tokens.push({ literal: template.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Compile a template into a matcher using the given placeholder rules
+ */
+function compileTemplate(template, placeholders) {
+  const tokens = parseTemplate(template);
+  const names = [];
+  // Index of each placeholder's capture group, skipping groups inside placeholder patterns
+  const groups = [];
+  let groupCount = 0;
+
+  const source = tokens.map(token => {
+    if (token.literal !== undefined) return escapeRegExp(token.literal);
+
+    const rule = placeholders[token.placeholder];
+    if (!rule) {
+      throw new Error(`Unknown placeholder {${token.placeholder}} in format "${template}". ` +
+        `Available: ${Object.keys(placeholders).map(name => `{${name}}`).join(', ')}`);
+    }
+    if (names.includes(token.placeholder)) {
+      throw new Error(`Placeholder {${token.placeholder}} appears more than once in format "${template}"`);
+    }
+    names.push(token.placeholder);
+    groups.push(groupCount + 1);
+    groupCount += 1 + countGroups(rule.pattern);
+    return `(${rule.pattern})`;
+  }).join('');
+
+  const regex = new RegExp(`^${source}$`);
+
+  // Lenient variant: underscores and spaces are accepted where the template has a dash,
+  // so that a name with the wrong separators can still be split into its placeholders
+  const lenientGroups = [];
+  let lenientCount = 0;
+  const lenientSource = tokens.map(token => {
+    if (token.literal === undefined) {
+      const pattern = placeholders[token.placeholder].pattern;
+      lenientGroups.push({ name: token.placeholder, index: lenientCount + 1 });
+      lenientCount += 1 + countGroups(pattern);
+      return `(${pattern})`;
+    }
+    return token.literal.split('').map(char => {
+      if (char !== '-') return escapeRegExp(char);
+      lenientCount += 1;
+      lenientGroups.push({ separator: true, index: lenientCount });
+      return '([-_\\s]+)';
+    }).join('');
+  }).join('');
+  const lenientRegex = new RegExp(`^${lenientSource}$`);
+
+  return {
+    template,
+    tokens,
+    names,
+    regex,
+
+    /**
+     * Match a value against the template, returning captured placeholder values or null
+     */
+    match(value) {
+      const result = value.match(regex);
+      if (!result) return null;
+      return names.reduce((fields, name, index) => {
+        fields[name] = result[groups[index]];
+        return fields;
+      }, {});
+    },
+
+    /**
+     * Match a value leniently, returning { fields, separators } or null. separators
+     * lists the text found where the template expects a dash.
+     */
+    matchLenient(value) {
+      const result = value.match(lenientRegex);
+      if (!result) return null;
+      const fields = {};
+      const separators = [];
+      lenientGroups.forEach(group => {
+        if (group.separator) {
+          separators.push(result[group.index]);
+        } else {
+          fields[group.name] = result[group.index];
+        }
+      });
+      return { fields, separators };
+    },
+
+    /**
+     * Render the template, taking placeholder values from fields or the rule examples
+     */
+    render(fields = {}) {
+      return tokens.map(token => {
+        if (token.literal !== undefined) return token.literal;
+        if (fields[token.placeholder] !== undefined) return fields[token.placeholder];
+        return placeholders[token.placeholder].example;
+      }).join('');
+    }
+  };
+}
+
+module.exports = {
+  compileTemplate,
+  parseTemplate,
+  escapeRegExp
+};
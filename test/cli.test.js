@@ -0,0 +1,160 @@
+/**
+ * Command line tests (cli.js), run in scratch git repositories
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { git } = require('../git');
+const { tempDir, writeFiles, initRepo, commitFile, runCli } = require('./helpers');
+
+describe('commit --file', () => {
+  test('validates the message file as git stores it', async () => {
+    const repo = initRepo();
+    writeFiles(repo, {
+      COMMIT_EDITMSG: 'SHOP-1-add-login\n\n# Please enter the commit message\n' +
+        '# ------------------------ >8 ------------------------\nMerge conflicts: add login\n'
+    });
+    const run = await runCli(['commit', '--file', 'COMMIT_EDITMSG'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stdout);
+    assert.match(run.stdout, /📝 Validating commit: SHOP-1-add-login\n/);
+  });
+
+  test('strips comments with core.commentChar', async () => {
+    const repo = initRepo();
+    git(['config', 'core.commentChar', ';'], repo);
+    writeFiles(repo, { COMMIT_EDITMSG: 'SHOP-1-add-login\n\n#12 stays in the body\n; comment\n' });
+    const run = await runCli(['commit', '--file', 'COMMIT_EDITMSG'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stdout);
+    assert.match(run.stdout, /Validating commit: SHOP-1-add-login\n\n#12 stays in the body\n\n/);
+  });
+
+  test('accepts git-generated messages and rejects invalid ones', async () => {
+    const repo = initRepo();
+    writeFiles(repo, { MERGE_MSG: "Merge branch 'topic'\n# Conflicts:\n", BAD_MSG: 'add login\n' });
+    assert.strictEqual((await runCli(['commit', '--file', 'MERGE_MSG'], { cwd: repo })).status, 0);
+    const bad = await runCli(['commit', '--file', 'BAD_MSG'], { cwd: repo });
+    assert.strictEqual(bad.status, 1);
+    assert.match(bad.stdout, /Invalid commit format\. Expected: SHOP-1234-description \[COMMIT_FORMAT\]/);
+  });
+});
+
+describe('current branch detection', () => {
+  test('validates the current branch when none is given', async () => {
+    const repo = initRepo();
+    git(['checkout', '-q', '-b', 'feature/SHOP-1-add-login'], repo);
+    const run = await runCli(['branch'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stdout);
+    assert.match(run.stdout, /🌿 Current branch: feature\/SHOP-1-add-login\n🔍 Validating branch: feature\/SHOP-1-add-login/);
+
+    const both = await runCli(['both', 'PROJ-2-add-login'], { cwd: repo });
+    assert.strictEqual(both.status, 1);
+    assert.match(both.stdout, /Ticket ID mismatch: Branch has SHOP-1, commit has PROJ-2/);
+  });
+
+  test('reports a detached HEAD instead of a format error', async () => {
+    const repo = initRepo();
+    git(['commit', '-q', '--allow-empty', '-m', 'SHOP-1-initial'], repo);
+    git(['checkout', '-q', '--detach'], repo);
+    const run = await runCli(['branch'], { cwd: repo });
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stdout, /⚠️ {2}HEAD is detached at [0-9a-f]{7}: there is no branch name to validate/);
+    assert.doesNotMatch(run.stdout, /BRANCH_FORMAT/);
+  });
+});
+
+describe('range', () => {
+  /**
+   * A repository on feature/SHOP-1-login with the given commits on top of main
+   */
+  function repoWithCommits(messages) {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '-b', 'feature/SHOP-1-login'], repo);
+    const shas = messages.map(message => commitFile(repo, message));
+    return { repo, shas };
+  }
+
+  test('reports every commit with its short SHA', async () => {
+    const { repo, shas } = repoWithCommits(['SHOP-1-add-form', 'add route', 'PROJ-2-add-api']);
+    const run = await runCli(['range', 'main..HEAD'], { cwd: repo });
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stdout, /🔗 Validating 3 commits in main\.\.HEAD/);
+    assert.ok(run.stdout.includes(`✅ ${shas[0].slice(0, 7)} SHOP-1-add-form\n`));
+    assert.ok(run.stdout.includes(`❌ ${shas[1].slice(0, 7)} add route\n   ❌ Line 1: Invalid commit format`));
+    assert.ok(run.stdout.includes(`❌ ${shas[2].slice(0, 7)} PROJ-2-add-api\n   ❌ Ticket ID mismatch`));
+    assert.match(run.stdout, /🎯 Overall: ❌ 2 of 3 commits failed validation/);
+  });
+
+  test('exits 0 when every commit is valid, checking against --branch', async () => {
+    const { repo } = repoWithCommits(['PROJ-2-add-form']);
+    assert.strictEqual((await runCli(['range', 'main..HEAD'], { cwd: repo })).status, 1);
+    const run = await runCli(['range', 'main..HEAD', '--branch', 'feature/PROJ-2-form'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stdout);
+    assert.match(run.stdout, /🎯 Overall: ✅ All 1 commits are valid/);
+  });
+});
+
+describe('output formats', () => {
+  const cwd = tempDir();
+
+  test('write the report to stdout and progress to stderr', async () => {
+    const run = await runCli(['branch', 'feat/SHOP-1-fix', '--format', 'json'], { cwd });
+    assert.strictEqual(run.status, 1);
+    const report = JSON.parse(run.stdout);
+    assert.strictEqual(report.suggestion, 'feature/SHOP-1-fix');
+    assert.match(run.stderr, /🔍 Validating branch: feat\/SHOP-1-fix/);
+  });
+
+  test('include the nested results of both', async () => {
+    const run = await runCli(['both', 'feature/SHOP-1-fix', 'SHOP-1-fix', '--format', 'junit'], { cwd });
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /<testsuites name="validate-git" tests="3" failures="0">/);
+    const json = JSON.parse((await runCli(['both', 'feature/SHOP-1-fix', 'SHOP-1-fix', '--format', 'json'], { cwd })).stdout);
+    assert.strictEqual(json.branchResult.ticketId, 'SHOP-1');
+    assert.strictEqual(json.commitResult.ticketId, 'SHOP-1');
+  });
+
+  test('cover commit ranges', async () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '-b', 'feature/SHOP-1-login'], repo);
+    const sha = commitFile(repo, 'SHOP-1-add-form');
+    const run = await runCli(['range', 'main..HEAD', '--format', 'json'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stderr);
+    const report = JSON.parse(run.stdout);
+    assert.deepStrictEqual(report.commits.map(commit => commit.sha), [sha]);
+    assert.strictEqual(report.branchResult.ticketId, 'SHOP-1');
+  });
+
+  test('reject unknown formats', async () => {
+    const run = await runCli(['branch', 'feature/SHOP-1-fix', '--format', 'xml'], { cwd });
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stdout, /Unknown output format 'xml'/);
+  });
+});
+
+describe('errors', () => {
+  test('are reported for a broken config file', async () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': '{ not json' });
+    const run = await runCli(['branch', 'feature/SHOP-1-fix'], { cwd: dir });
+    assert.strictEqual(run.status, 1);
+    assert.match(run.stderr, /❌ Validation error: Invalid JSON in config file .*\.branchvalidatorrc/);
+  });
+});
+
+describe('new-branch', () => {
+  test('prints the generated name alone', async () => {
+    const run = await runCli(['new-branch', '--type', 'bugfix', '--ticket', 'SHOP-1', "Fix user can't log in"], { cwd: tempDir() });
+    assert.strictEqual(run.status, 0, run.stdout);
+    assert.strictEqual(run.stdout, 'bugfix/SHOP-1-fix-user-cant-log-in\n');
+  });
+
+  test('creates the branch with --checkout', async () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    const run = await runCli(['new-branch', '--ticket', 'SHOP-2', '--checkout', 'Add login'], { cwd: repo });
+    assert.strictEqual(run.status, 0, run.stdout + run.stderr);
+    assert.strictEqual(git(['branch', '--show-current'], repo), 'feature/SHOP-2-add-login');
+  });
+});
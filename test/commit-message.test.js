@@ -0,0 +1,97 @@
+/**
+ * Commit message parsing tests (commit-message.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const {
+  cleanCommitMessage,
+  isGeneratedMessage,
+  parseCommitMessage,
+  parseConventionalHeader,
+  hasBreakingFooter
+} = require('../commit-message');
+
+describe('conventional headers', () => {
+  test('parse type, scope, breaking mark and subject', () => {
+    assert.deepStrictEqual(parseConventionalHeader('feat(SHOP-1)!: drop the v1 API'), {
+      type: 'feat',
+      scope: 'SHOP-1',
+      breaking: true,
+      subject: 'drop the v1 API'
+    });
+    assert.deepStrictEqual(parseConventionalHeader('fix: crash on save'), {
+      type: 'fix',
+      scope: null,
+      breaking: false,
+      subject: 'crash on save'
+    });
+  });
+
+  test('reject headers without a type and ": "', () => {
+    assert.strictEqual(parseConventionalHeader('SHOP-1-fix-crash'), null);
+    assert.strictEqual(parseConventionalHeader('feat(SHOP-1):'), null);
+    assert.strictEqual(parseConventionalHeader('feat(a(b)): nested scope'), null);
+  });
+
+  test('recognize breaking change footers', () => {
+    assert.strictEqual(hasBreakingFooter([{ token: 'BREAKING CHANGE' }]), true);
+    assert.strictEqual(hasBreakingFooter([{ token: 'BREAKING-CHANGE' }]), true);
+    assert.strictEqual(hasBreakingFooter([{ token: 'Refs' }]), false);
+  });
+});
+
+describe('message parsing', () => {
+  test('splits header, body paragraphs and footers with their line numbers', () => {
+    const message = parseCommitMessage([
+      'SHOP-1-fix', '', 'First paragraph', 'second line', '', 'Second paragraph', '',
+      'Refs: SHOP-1', 'Closes #12', 'Co-authored-by: Dev <dev@example.com>', '  continued', '', ''
+    ].join('\n'));
+    assert.strictEqual(message.header, 'SHOP-1-fix');
+    assert.strictEqual(message.missingBlankLine, false);
+    assert.strictEqual(message.body, 'First paragraph\nsecond line\n\nSecond paragraph');
+    assert.deepStrictEqual(message.bodyLines.map(line => line.line), [3, 4, 5, 6]);
+    assert.deepStrictEqual(message.footers, [
+      { token: 'Refs', separator: ': ', value: 'SHOP-1', line: 8 },
+      { token: 'Closes', separator: ' #', value: '12', line: 9 },
+      { token: 'Co-authored-by', separator: ': ', value: 'Dev <dev@example.com>\n  continued', line: 10 }
+    ]);
+  });
+
+  test('notices a missing blank line after the subject', () => {
+    const message = parseCommitMessage('SHOP-1-fix\nbody\r\n');
+    assert.strictEqual(message.missingBlankLine, true);
+    assert.strictEqual(message.body, 'body');
+    assert.deepStrictEqual(message.footers, []);
+  });
+});
+
+describe('message files', () => {
+  const SCISSORS = '------------------------ >8 ------------------------';
+
+  test('are cleaned up like git commit --cleanup=strip', () => {
+    const raw = `\n\nSHOP-1-fix  \n# Please enter the commit message\n\nbody\n# ${SCISSORS}\n# Do not modify the line above.\ndiff --git a/x b/x\n`;
+    assert.strictEqual(cleanCommitMessage(raw), 'SHOP-1-fix\n\nbody');
+  });
+
+  test('use the configured comment character', () => {
+    const raw = `SHOP-1-fix\n\n#12 is not a comment\n; comment\n; ${SCISSORS}\ndiff`;
+    assert.strictEqual(cleanCommitMessage(raw, ';'), 'SHOP-1-fix\n\n#12 is not a comment');
+  });
+});
+
+describe('git-generated messages', () => {
+  test('are recognized by their subject', () => {
+    [
+      "Merge branch 'topic' into main",
+      'Merge pull request #1 from acme/topic',
+      'Merge 1234567 into main',
+      'Revert "SHOP-1-fix"',
+      'fixup! SHOP-1-fix',
+      'squash! SHOP-1-fix',
+      'amend! SHOP-1-fix'
+    ].forEach(message => assert.strictEqual(isGeneratedMessage(message), true, message));
+    assert.strictEqual(isGeneratedMessage('Merged the login forms'), false);
+    assert.strictEqual(isGeneratedMessage('fixup SHOP-1-fix'), false);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Configuration loading tests (config.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { loadConfig, findConfigFile, normalizeBranchTypes } = require('../config');
+const { tempDir, writeFiles } = require('./helpers');
+
+describe('config files', () => {
+  test('finds the nearest config file, searching upward', () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': { projectKeys: ['WEB'] }, 'packages/app/.keep': '' });
+    const loaded = loadConfig({ cwd: path.join(dir, 'packages/app'), env: {} });
+    assert.strictEqual(loaded.configFile, path.join(dir, '.branchvalidatorrc'));
+    assert.deepStrictEqual(loaded.config.projectKeys, ['WEB']);
+    assert.strictEqual(loaded.sources.projectKeys, loaded.configFile);
+    assert.strictEqual(loaded.sources.branchFormat, 'default');
+  });
+
+  test('reads the branchValidator key of package.json, skipping package.json files without it', () => {
+    const dir = tempDir();
+    writeFiles(dir, {
+      'package.json': { name: 'root', branchValidator: { projectKeys: 'WEB, API' } },
+      'app/package.json': { name: 'app' }
+    });
+    const found = findConfigFile(path.join(dir, 'app'));
+    assert.strictEqual(found.filepath, path.join(dir, 'package.json'));
+    assert.deepStrictEqual(loadConfig({ cwd: path.join(dir, 'app'), env: {} }).config.projectKeys, ['WEB', 'API']);
+  });
+
+  test('prefers .branchvalidatorrc over package.json in the same directory', () => {
+    const dir = tempDir();
+    writeFiles(dir, {
+      'package.json': { branchValidator: { projectKeys: ['PKG'] } },
+      '.branchvalidatorrc.json': { projectKeys: ['RC'] }
+    });
+    assert.deepStrictEqual(loadConfig({ cwd: dir, env: {} }).config.projectKeys, ['RC']);
+  });
+
+  test('layers environment variables and options over the file', () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': { projectKeys: ['WEB'], commitRules: { subjectMaxLength: 50 } } });
+    const loaded = loadConfig({ cwd: dir, env: { PROJECT_KEYS: 'ENV', SKIP_VALIDATION: 'true' } });
+    assert.deepStrictEqual(loaded.config.projectKeys, ['ENV']);
+    assert.strictEqual(loaded.sources.projectKeys, 'env PROJECT_KEYS');
+    assert.strictEqual(loaded.config.skipValidation, true);
+    // Object settings are merged over their defaults
+    assert.strictEqual(loaded.config.commitRules.subjectMaxLength, 50);
+    assert.strictEqual(loaded.config.commitRules.bodyMaxLineLength, 72);
+
+    const overridden = loadConfig({ cwd: dir, env: { PROJECT_KEYS: 'ENV' }, overrides: { projectKeys: ['OPT'] } });
+    assert.deepStrictEqual(overridden.config.projectKeys, ['OPT']);
+    assert.strictEqual(overridden.sources.projectKeys, 'options');
+  });
+
+  test('names the file in JSON errors', () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': '{ "projectKeys": ' });
+    assert.throws(() => loadConfig({ cwd: dir, env: {} }), /Invalid JSON in config file .*\.branchvalidatorrc/);
+  });
+});
+
+describe('branch types setting', () => {
+  test('accepts names, a comma-separated string and objects with aliases', () => {
+    assert.deepStrictEqual(normalizeBranchTypes('feature, fix'), [
+      { name: 'feature', aliases: [] },
+      { name: 'fix', aliases: [] }
+    ]);
+    assert.deepStrictEqual(normalizeBranchTypes([{ name: 'feature', aliases: ['feat', ' '] }, ' ']), [
+      { name: 'feature', aliases: ['feat'] }
+    ]);
+  });
+
+  test('rejects a list without branch types', () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': { branchTypes: [] } });
+    assert.throws(() => loadConfig({ cwd: dir, env: {} }), /branchTypes in .*\.branchvalidatorrc must name at least one branch type/);
+    assert.throws(() => loadConfig({ cwd: dir, env: {}, overrides: { branchTypes: ' , ' } }), /must name at least one branch type/);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Machine-readable output format tests (formatters.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { formatReport } = require('../formatters');
+const pkg = require('../package.json');
+
+const invalid = {
+  valid: false,
+  message: '❌ Branch description must be lowercase',
+  suggestion: 'feature/SHOP-1-a-b',
+  errors: [{ code: 'DESC_UPPERCASE', message: 'Branch description must be <lowercase>', severity: 'error' }],
+  warnings: []
+};
+const warned = {
+  valid: true,
+  message: '✅ Commit message is valid',
+  errors: [],
+  warnings: [{ code: 'SUBJECT_MAX_LENGTH', message: 'Commit subject is too long', line: 1, severity: 'warn' }]
+};
+const checks = [
+  { kind: 'branch', name: 'feature/SHOP-1-A&B', result: invalid },
+  { kind: 'commit', name: 'SHOP-1-fix', result: warned, file: '.git/COMMIT_EDITMSG' },
+  { kind: 'consistency', name: 'feature/SHOP-1-A&B / SHOP-1-fix', result: { valid: true, message: '✅', errors: [], warnings: [] } },
+  // Results without an errors list are reported by their message
+  { kind: 'commit', name: 'old', result: { valid: false, message: '❌ Something broke' } }
+];
+
+describe('JUnit reports', () => {
+  const xml = formatReport('junit', null, checks);
+
+  test('have one test case per check and count the failures', () => {
+    assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<testsuites name="validate-git" tests="4" failures="2">/);
+    assert.match(xml, /<testcase classname="validate-git.consistency" name="feature\/SHOP-1-A&amp;B \/ SHOP-1-fix"\/>/);
+  });
+
+  test('describe failures with their code and the suggestion', () => {
+    assert.ok(xml.includes('<failure type="DESC_UPPERCASE" message="Branch description must be &lt;lowercase&gt;">' +
+      '[DESC_UPPERCASE] Branch description must be &lt;lowercase&gt;\nSuggestion: feature/SHOP-1-a-b</failure>'));
+    assert.ok(xml.includes('<failure type="VALIDATION_FAILED" message="Something broke">'));
+  });
+
+  test('put warnings in system-out without failing', () => {
+    assert.ok(xml.includes('<system-out>Warning: [SUBJECT_MAX_LENGTH] Line 1: Commit subject is too long</system-out>'));
+  });
+});
+
+describe('SARIF reports', () => {
+  const sarif = JSON.parse(formatReport('sarif', null, checks));
+  const run = sarif.runs[0];
+
+  test('describe the tool and the rules used', () => {
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(run.tool.driver.version, pkg.version);
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => [rule.id, rule.shortDescription.text]), [
+      ['DESC_UPPERCASE', 'Description contains uppercase letters'],
+      ['SUBJECT_MAX_LENGTH', 'Commit subject is too long'],
+      ['VALIDATION_FAILED', 'VALIDATION_FAILED']
+    ]);
+  });
+
+  test('have one result per error or warning', () => {
+    assert.deepStrictEqual(run.results.map(result => [result.ruleId, result.level]), [
+      ['DESC_UPPERCASE', 'error'],
+      ['SUBJECT_MAX_LENGTH', 'warning'],
+      ['VALIDATION_FAILED', 'error']
+    ]);
+    assert.strictEqual(run.results[0].message.text,
+      'feature/SHOP-1-A&B: Branch description must be <lowercase>. Suggestion: feature/SHOP-1-a-b');
+  });
+
+  test('locate commit message files', () => {
+    assert.deepStrictEqual(run.results[1].locations[0].physicalLocation, {
+      artifactLocation: { uri: '.git/COMMIT_EDITMSG' },
+      region: { startLine: 1 }
+    });
+    assert.strictEqual(run.results[0].locations[0].physicalLocation, undefined);
+  });
+});
+
+describe('other formats', () => {
+  test('json serializes the whole result', () => {
+    assert.deepStrictEqual(JSON.parse(formatReport('json', invalid, checks)), invalid);
+  });
+
+  test('unknown formats are rejected', () => {
+    assert.throws(() => formatReport('xml', invalid, checks), /Unknown output format 'xml'. Valid formats: text, json, junit, sarif/);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Git repository helper tests (git.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { git, findGitDir, getCurrentBranch, getCommits } = require('../git');
+const { tempDir, writeFiles, initRepo, commitFile } = require('./helpers');
+
+describe('current branch', () => {
+  test('is read from HEAD, also in subdirectories', () => {
+    const repo = initRepo();
+    git(['checkout', '-q', '-b', 'feature/SHOP-1-login'], repo);
+    writeFiles(repo, { 'src/app/.keep': '' });
+    assert.deepStrictEqual(getCurrentBranch(path.join(repo, 'src/app')), {
+      branch: 'feature/SHOP-1-login',
+      detached: false,
+      sha: null
+    });
+  });
+
+  test('follows a .git file to the real git directory', () => {
+    const repo = initRepo();
+    git(['checkout', '-q', '-b', 'feature/SHOP-2-submodule'], repo);
+    const checkout = tempDir();
+    writeFiles(checkout, { '.git': `gitdir: ${path.join(repo, '.git')}\n` });
+    assert.strictEqual(findGitDir(checkout), path.join(repo, '.git'));
+    assert.strictEqual(getCurrentBranch(checkout).branch, 'feature/SHOP-2-submodule');
+  });
+
+  test('is the worktree branch in a linked worktree', () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    const worktree = path.join(tempDir(), 'worktree');
+    git(['worktree', 'add', '-q', '-b', 'feature/SHOP-3-worktree', worktree], repo);
+    assert.strictEqual(getCurrentBranch(worktree).branch, 'feature/SHOP-3-worktree');
+    assert.strictEqual(getCurrentBranch(repo).branch, 'main');
+  });
+
+  test('is reported as detached, with the commit, when HEAD is detached', () => {
+    const repo = initRepo();
+    const sha = commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '--detach'], repo);
+    assert.deepStrictEqual(getCurrentBranch(repo), { branch: null, detached: true, sha });
+  });
+
+  test('is the branch being rebased during a rebase', () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '-b', 'feature/SHOP-4-rebase'], repo);
+    commitFile(repo, 'SHOP-4-change');
+    // Stop the rebase after the first commit, leaving HEAD detached
+    assert.throws(() => git(['rebase', '-q', '--exec', 'false', 'main'], repo));
+    assert.strictEqual(fs.readFileSync(path.join(repo, '.git', 'HEAD'), 'utf8').startsWith('ref:'), false);
+    assert.deepStrictEqual(getCurrentBranch(repo), { branch: 'feature/SHOP-4-rebase', detached: false, sha: null });
+  });
+
+  test('fails outside a git repository', () => {
+    const dir = tempDir();
+    assert.throws(() => getCurrentBranch(dir), /Not a git repository/);
+  });
+});
+
+describe('commits', () => {
+  test('are listed oldest first with their full messages', () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '-b', 'feature/SHOP-2-login'], repo);
+    const first = commitFile(repo, 'SHOP-2-add-form\n\nWith a body');
+    const second = commitFile(repo, 'SHOP-2-add-route');
+    assert.deepStrictEqual(getCommits(['main..HEAD'], repo), [
+      { sha: first, message: 'SHOP-2-add-form\n\nWith a body' },
+      { sha: second, message: 'SHOP-2-add-route' }
+    ]);
+    assert.deepStrictEqual(getCommits([second, '--not', 'main'], repo).map(item => item.sha), [first, second]);
+    assert.deepStrictEqual(getCommits(['HEAD..HEAD'], repo), []);
+  });
+
+  test('fail with the revisions for an invalid range', () => {
+    const repo = initRepo();
+    commitFile(repo, 'SHOP-1-initial');
+    assert.throws(() => getCommits(['main..nope'], repo), /Invalid revision range: main\.\.nope/);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Shared test helpers
+ */
+
+const { after } = require('node:test');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { git } = require('../git');
+
+// Keep the scratch repositories independent of the caller's git setup: variables set by
+// a running hook (GIT_DIR, ...) or config given in the environment (GIT_CONFIG_COUNT,
+// e.g. core.hooksPath) and the user's global config
+Object.keys(process.env)
+  .filter(name => /^GIT_(DIR|WORK_TREE|INDEX_FILE|CONFIG_(COUNT|KEY_\d+|VALUE_\d+|PARAMETERS))$/.test(name))
+  .forEach(name => { delete process.env[name]; });
+process.env.GIT_CONFIG_GLOBAL = '/dev/null';
+process.env.GIT_CONFIG_NOSYSTEM = '1';
+
+/**
+ * A scratch directory, removed after the tests of the file
+ */
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-git-test-'));
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Write files given as { relativePath: content } under dir; objects are written as JSON
+ */
+function writeFiles(dir, files) {
+  Object.keys(files).forEach(name => {
+    const filepath = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    const content = files[name];
+    fs.writeFileSync(filepath, typeof content === 'string' ? content : JSON.stringify(content));
+  });
+}
+
+/**
+ * A scratch git repository on branch main, with a committer identity
+ */
+function initRepo() {
+  const dir = tempDir();
+  git(['init', '-q', '-b', 'main'], dir);
+  git(['config', 'user.email', 'dev@example.com'], dir);
+  git(['config', 'user.name', 'Dev'], dir);
+  git(['config', 'commit.gpgsign', 'false'], dir);
+  return dir;
+}
+
+/**
+ * Commit a change to a file of a repository, returning the new commit's SHA
+ */
+function commitFile(repo, message, file = 'file.txt') {
+  fs.appendFileSync(path.join(repo, file), `${message}\n`);
+  git(['add', file], repo);
+  git(['commit', '-q', '-m', message], repo);
+  return git(['rev-parse', 'HEAD'], repo);
+}
+
+/**
+ * Environment whose PATH has a validate-git command running this checkout's cli.js,
+ * as installed hooks expect
+ */
+function cliEnv() {
+  const bin = tempDir();
+  const shim = path.join(bin, 'validate-git');
+  fs.writeFileSync(shim, `#!/bin/sh\nexec "${process.execPath}" "${path.resolve(__dirname, '../cli.js')}" "$@"\n`, { mode: 0o755 });
+  return Object.assign({}, process.env, { PATH: `${bin}${path.delimiter}${process.env.PATH}` });
+}
+
+/**
+ * Run cli.js with the given arguments. Options: cwd, env and input (written to stdin).
+ * Resolves with { status, stdout, stderr }.
+ */
+function runCli(args, options = {}) {
+  return new Promise(resolve => {
+    const child = execFile(process.execPath, [path.resolve(__dirname, '../cli.js')].concat(args), {
+      cwd: options.cwd,
+      env: options.env
+    }, (error, stdout, stderr) => {
+      resolve({ status: error ? error.code : 0, stdout, stderr });
+    });
+    child.stdin.end(options.input || '');
+  });
+}
+
+module.exports = {
+  tempDir,
+  writeFiles,
+  initRepo,
+  commitFile,
+  cliEnv,
+  runCli
+};
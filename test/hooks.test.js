@@ -0,0 +1,216 @@
+/**
+ * Git hook installation tests (hooks.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { installHooks, uninstallHooks, getHooksDir, HOOK_MARKER } = require('../hooks');
+const { git } = require('../git');
+const { createValidator } = require('..');
+const { tempDir, writeFiles, initRepo, commitFile, cliEnv } = require('./helpers');
+
+const actions = result => result.results.map(({ hook, action }) => `${hook}: ${action}`);
+
+/**
+ * Run a hook script, returning { status, output }
+ */
+function runHook(file, args, options) {
+  const run = spawnSync(file, args, Object.assign({ encoding: 'utf8' }, options));
+  return { status: run.status, output: run.stdout + run.stderr };
+}
+
+describe('install-hooks', () => {
+  test('writes executable commit-msg and pre-push hooks, prepare-commit-msg on request', () => {
+    const repo = initRepo();
+    const result = installHooks({ cwd: repo });
+    assert.strictEqual(result.hooksDir, path.join(fs.realpathSync(repo), '.git', 'hooks'));
+    assert.deepStrictEqual(actions(result), ['commit-msg: installed', 'pre-push: installed']);
+    ['commit-msg', 'pre-push'].forEach(hook => {
+      const file = path.join(result.hooksDir, hook);
+      assert.ok(fs.readFileSync(file, 'utf8').includes(HOOK_MARKER));
+      assert.strictEqual(fs.statSync(file).mode & 0o777, 0o755);
+    });
+    assert.strictEqual(fs.existsSync(path.join(result.hooksDir, 'prepare-commit-msg')), false);
+
+    assert.deepStrictEqual(actions(installHooks({ cwd: repo, prepareCommitMsg: true })),
+      ['commit-msg: unchanged', 'pre-push: unchanged', 'prepare-commit-msg: installed']);
+  });
+
+  test('is idempotent', () => {
+    const repo = initRepo();
+    const first = installHooks({ cwd: repo });
+    const content = fs.readFileSync(path.join(first.hooksDir, 'commit-msg'), 'utf8');
+    assert.deepStrictEqual(actions(installHooks({ cwd: repo })), ['commit-msg: unchanged', 'pre-push: unchanged']);
+    assert.strictEqual(fs.readFileSync(path.join(first.hooksDir, 'commit-msg'), 'utf8'), content);
+    assert.deepStrictEqual(fs.readdirSync(first.hooksDir).filter(file => file.includes('validate-git')), []);
+  });
+
+  test('honours core.hooksPath', () => {
+    const repo = initRepo();
+    git(['config', 'core.hooksPath', '.githooks'], repo);
+    assert.strictEqual(getHooksDir(repo), path.join(fs.realpathSync(repo), '.githooks'));
+    installHooks({ cwd: repo });
+    assert.ok(fs.existsSync(path.join(repo, '.githooks', 'commit-msg')));
+  });
+
+  test('fails outside a git repository', () => {
+    const dir = tempDir();
+    assert.throws(() => installHooks({ cwd: dir }), /Not a git repository/);
+  });
+});
+
+describe('chained hooks', () => {
+  test('keeps an existing hook and runs it before the validator', () => {
+    const repo = initRepo();
+    const hooksDir = getHooksDir(repo);
+    writeFiles(hooksDir, { 'commit-msg': '#!/bin/sh\necho "own hook ran"\n[ -z "$FAIL_OWN_HOOK" ]\n' });
+    fs.chmodSync(path.join(hooksDir, 'commit-msg'), 0o755);
+
+    assert.deepStrictEqual(actions(installHooks({ cwd: repo })), ['commit-msg: chained', 'pre-push: installed']);
+    assert.ok(fs.existsSync(path.join(hooksDir, 'commit-msg.pre-validate-git')));
+
+    const env = cliEnv();
+    const hook = path.join(hooksDir, 'commit-msg');
+    writeFiles(repo, { MSG: 'SHOP-1-add-login\n', BAD: 'add login\n' });
+    const valid = runHook(hook, ['MSG'], { cwd: repo, env });
+    assert.strictEqual(valid.status, 0, valid.output);
+    assert.match(valid.output, /own hook ran[\s\S]*Commit message is valid/);
+    assert.strictEqual(runHook(hook, ['BAD'], { cwd: repo, env }).status, 1);
+
+    const failing = runHook(hook, ['MSG'], { cwd: repo, env: Object.assign({ FAIL_OWN_HOOK: '1' }, env) });
+    assert.strictEqual(failing.status, 1);
+    assert.doesNotMatch(failing.output, /Validating commit/);
+  });
+
+  test('refuses to overwrite a previously chained hook', () => {
+    const repo = initRepo();
+    const hooksDir = getHooksDir(repo);
+    writeFiles(hooksDir, { 'commit-msg': '#!/bin/sh\n', 'commit-msg.pre-validate-git': '#!/bin/sh\n' });
+    assert.throws(() => installHooks({ cwd: repo }), /Cannot chain existing commit-msg hook: .*commit-msg.pre-validate-git already exists/);
+  });
+});
+
+describe('uninstall-hooks', () => {
+  test('removes the hooks and restores the chained ones', () => {
+    const repo = initRepo();
+    const hooksDir = getHooksDir(repo);
+    writeFiles(hooksDir, { 'pre-push': '#!/bin/sh\nexit 0\n' });
+    installHooks({ cwd: repo });
+
+    assert.deepStrictEqual(actions(uninstallHooks({ cwd: repo })),
+      ['commit-msg: removed', 'pre-push: restored', 'prepare-commit-msg: not installed']);
+    assert.deepStrictEqual(fs.readdirSync(hooksDir).filter(file => !file.endsWith('.sample')), ['pre-push']);
+    assert.strictEqual(fs.readFileSync(path.join(hooksDir, 'pre-push'), 'utf8'), '#!/bin/sh\nexit 0\n');
+  });
+});
+
+describe('prepare-commit-msg', () => {
+  const validator = createValidator({ cwd: tempDir(), env: {} });
+
+  test('prefills new messages with the branch ticket', () => {
+    assert.strictEqual(validator.prefillCommitMessage('add login', 'feature/SHOP-1-login'), 'SHOP-1-add login');
+    assert.strictEqual(validator.prefillCommitMessage('\n# Please enter the commit message', 'feature/SHOP-1-login'),
+      'SHOP-1-\n# Please enter the commit message');
+    assert.strictEqual(validator.prefillCommitMessage('SHOP-2-add', 'feature/SHOP-1-login'), 'SHOP-2-add');
+    assert.strictEqual(validator.prefillCommitMessage('add login', 'main'), 'add login');
+  });
+
+  test('runs from the hook on the current branch', () => {
+    const repo = initRepo();
+    git(['checkout', '-q', '-b', 'feature/SHOP-7-login'], repo);
+    const { hooksDir } = installHooks({ cwd: repo, prepareCommitMsg: true });
+    writeFiles(repo, { MSG: '\n# Please enter the commit message\n' });
+
+    const run = runHook(path.join(hooksDir, 'prepare-commit-msg'), ['MSG', 'message'], { cwd: repo, env: cliEnv() });
+    assert.strictEqual(run.status, 0, run.output);
+    assert.strictEqual(fs.readFileSync(path.join(repo, 'MSG'), 'utf8'), 'SHOP-7-\n# Please enter the commit message\n');
+  });
+});
+
+describe('pre-push', () => {
+  const ZERO = '0'.repeat(40);
+
+  /**
+   * A repository with the hooks installed and the given commits on feature/SHOP-1-thing
+   */
+  function repoWithCommits(messages) {
+    const repo = initRepo();
+    const base = commitFile(repo, 'SHOP-1-initial');
+    git(['checkout', '-q', '-b', 'feature/SHOP-1-thing'], repo);
+    const shas = messages.map(message => commitFile(repo, message));
+    const { hooksDir } = installHooks({ cwd: repo });
+    return { repo, base, shas, hook: path.join(hooksDir, 'pre-push') };
+  }
+
+  /**
+   * Run the pre-push hook with the given "<local ref> <local sha> <remote ref> <remote sha>" lines
+   */
+  function push(setup, lines) {
+    return runHook(setup.hook, ['origin', 'git@example.com:acme/web.git'], {
+      cwd: setup.repo,
+      env: cliEnv(),
+      input: lines.map(line => `${line.join(' ')}\n`).join('')
+    });
+  }
+
+  test('checks a new branch pushed by name or as HEAD', () => {
+    const setup = repoWithCommits(['SHOP-1-Bad thing']);
+    const head = setup.shas[0];
+    [
+      ['refs/heads/feature/SHOP-1-thing', head, 'refs/heads/feature/SHOP-1-thing', ZERO],
+      ['HEAD', head, 'refs/heads/feature/SHOP-1-thing', ZERO]
+    ].forEach(line => {
+      const run = push(setup, [line]);
+      assert.strictEqual(run.status, 1, run.output);
+      assert.match(run.output, /SHOP-1-Bad thing\n {3}❌ Line 1: Commit description cannot contain spaces/);
+    });
+  });
+
+  test('checks commits against the remote branch name', () => {
+    const setup = repoWithCommits(['SHOP-1-add-thing']);
+    const head = setup.shas[0];
+    assert.strictEqual(push(setup, [['HEAD', head, 'refs/heads/feature/SHOP-1-thing', ZERO]]).status, 0);
+    const other = push(setup, [['HEAD', head, 'refs/heads/feature/PROJ-2-other', ZERO]]);
+    assert.strictEqual(other.status, 1);
+    assert.match(other.output, /Ticket ID mismatch: Branch has PROJ-2, commit has SHOP-1/);
+  });
+
+  test('checks only the commits the remote does not have', () => {
+    const setup = repoWithCommits(['SHOP-1-Bad thing', 'SHOP-1-add-thing']);
+    const run = push(setup, [['HEAD', setup.shas[1], 'refs/heads/feature/SHOP-1-thing', setup.shas[0]]]);
+    assert.strictEqual(run.status, 0, run.output);
+    assert.match(run.output, /Validating 1 commits in [0-9a-f]{40}\.\.[0-9a-f]{40}/);
+  });
+
+  test('falls back to unpushed commits when the remote commit is unknown', () => {
+    const setup = repoWithCommits(['SHOP-1-Bad thing']);
+    const run = push(setup, [['HEAD', setup.shas[0], 'refs/heads/feature/SHOP-1-thing', 'f'.repeat(40)]]);
+    assert.strictEqual(run.status, 1);
+    assert.doesNotMatch(run.output, /Invalid revision range/);
+    assert.match(run.output, /Validating 2 commits[\s\S]*SHOP-1-Bad thing\n {3}❌/);
+  });
+
+  test('runs on git push origin HEAD', () => {
+    const setup = repoWithCommits(['SHOP-1-Bad thing']);
+    const remote = tempDir();
+    git(['init', '-q', '--bare', remote], setup.repo);
+    git(['remote', 'add', 'origin', remote], setup.repo);
+    const run = spawnSync('git', ['push', '-u', 'origin', 'HEAD'], { cwd: setup.repo, env: cliEnv(), encoding: 'utf8' });
+    assert.notStrictEqual(run.status, 0, run.stdout + run.stderr);
+    assert.match(run.stdout + run.stderr, /SHOP-1-Bad thing/);
+    assert.throws(() => git(['rev-parse', '--verify', 'refs/heads/feature/SHOP-1-thing'], remote));
+  });
+
+  test('skips tags and deleted branches', () => {
+    const setup = repoWithCommits(['SHOP-1-Bad thing']);
+    const run = push(setup, [
+      ['refs/tags/v1.0.0', setup.shas[0], 'refs/tags/v1.0.0', ZERO],
+      ['(delete)', ZERO, 'refs/heads/feature/SHOP-1-thing', setup.base]
+    ]);
+    assert.strictEqual(run.status, 0, run.output);
+    assert.doesNotMatch(run.output, /Validating/);
+  });
+});
@@ -0,0 +1,615 @@
+/**
+ * Branch and commit validator tests (index.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { createValidator, ERROR_CODES } = require('..');
+const { tempDir, writeFiles, initRepo } = require('./helpers');
+
+// Validators are created in an empty directory so that no config file is picked up
+const cwd = tempDir();
+
+/**
+ * A validator with the given settings on top of the defaults
+ */
+function validatorWith(config, options = {}) {
+  return createValidator(Object.assign({ cwd, env: {}, config }, options));
+}
+
+const codes = list => (list || []).map(error => error.code);
+
+/**
+ * A tracker provider answering from a map of issues by ID
+ */
+const fakeTracker = issues => ({ name: 'fake', getIssue: async id => issues[id] || null });
+
+describe('branch types', () => {
+  const validator = validatorWith({ branchTypes: [{ name: 'feature', aliases: ['feat'] }, 'fix'] });
+
+  test('accepts configured types and resolves aliases', () => {
+    assert.strictEqual(validator.validateBranchName('feature/SHOP-1-add-login').branchType, 'feature');
+    assert.strictEqual(validator.validateBranchName('feat/SHOP-1-add-login').branchType, 'feature');
+    assert.strictEqual(validator.validateBranchName('fix/SHOP-1-crash').branchType, 'fix');
+  });
+
+  test('rejects an unknown prefix and suggests a known one', () => {
+    const result = validator.validateBranchName('bugfix/SHOP-1-crash');
+    assert.strictEqual(result.valid, false);
+    assert.deepStrictEqual(codes(result.errors), ['BRANCH_PREFIX']);
+    assert.strictEqual(result.message, '❌ Branch name must start with one of: feature/, feat/, fix/');
+    assert.strictEqual(result.suggestion, 'feature/SHOP-1-crash');
+    assert.strictEqual(validator.validateBranchName('Fix/SHOP-1-crash').suggestion, 'fix/SHOP-1-crash');
+  });
+
+  test('rejects an empty list of branch types', () => {
+    assert.throws(() => validatorWith({ branchTypes: [] }), /branchTypes in options must name at least one branch type/);
+  });
+});
+
+describe('naming formats', () => {
+  test('accept the default formats', () => {
+    const validator = validatorWith();
+    const branch = validator.validateBranchName('feature/SHOP-123-add-login');
+    assert.strictEqual(branch.valid, true);
+    assert.strictEqual(branch.ticketId, 'SHOP-123');
+    assert.strictEqual(branch.projectKey, 'SHOP');
+    assert.strictEqual(validator.validateCommitMessage('SHOP-123-add-login').ticketId, 'SHOP-123');
+
+    const commit = validator.validateCommitMessage('add login');
+    assert.deepStrictEqual(codes(commit.errors), ['COMMIT_FORMAT']);
+    assert.strictEqual(commit.message, '❌ Line 1: Invalid commit format. Expected: SHOP-1234-description');
+  });
+
+  test('use custom branch and commit formats', () => {
+    const validator = validatorWith({ branchFormat: '{type}/{ticket}/{slug}', commitFormat: '{ticket}: {Subject}' });
+    assert.strictEqual(validator.validateBranchName('feature/SHOP-1/add-login').valid, true);
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/SHOP-1-add-login').errors), ['BRANCH_FORMAT']);
+    assert.strictEqual(validator.validateCommitMessage('SHOP-1: Add login').valid, true);
+    const result = validator.validateCommitMessage('SHOP-1: add login');
+    assert.deepStrictEqual(codes(result.errors), ['SUBJECT_CASE']);
+    assert.strictEqual(result.suggestion, 'SHOP-1: Add login');
+  });
+
+  test('reject unknown placeholders', () => {
+    assert.throws(() => validatorWith({ branchFormat: '{type}/{issue}' }), /Unknown placeholder \{issue\}/);
+  });
+});
+
+describe('Conventional Commits', () => {
+  const validator = validatorWith({ commitConvention: 'conventional' });
+
+  test('accept type(scope)!: subject with the ticket in the scope, subject or a footer', () => {
+    const result = validator.validateCommitMessage('feat(SHOP-1)!: drop the v1 API');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.type, 'feat');
+    assert.strictEqual(result.scope, 'SHOP-1');
+    assert.strictEqual(result.breaking, true);
+    assert.strictEqual(validator.validateCommitMessage('fix: SHOP-2 crash on save').ticketId, 'SHOP-2');
+    assert.deepStrictEqual(validator.validateCommitMessage('feat!: drop node 10\n\nRefs: SHOP-3').ticketIds, ['SHOP-3']);
+    assert.strictEqual(validator.validateCommitMessage('feat(SHOP-1): x\n\nBREAKING CHANGE: gone').breaking, true);
+  });
+
+  test('take the ticket from the scope, not from ticket-like words in the subject', () => {
+    const result = validator.validateCommitMessage('feat(SHOP-1): add SHA-256 checksums');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.ticketIds, ['SHOP-1']);
+  });
+
+  test('report unknown types, missing tickets and other formats', () => {
+    assert.deepStrictEqual(codes(validator.validateCommitMessage('feature(SHOP-1): add login').errors), ['COMMIT_TYPE']);
+    assert.deepStrictEqual(codes(validator.validateCommitMessage('SHOP-1-add-login').errors), ['COMMIT_FORMAT']);
+    assert.deepStrictEqual(codes(validator.validateCommitMessage('feat(FOO-1): add login').errors), ['UNKNOWN_PROJECT_KEY']);
+
+    const missing = validator.validateCommitMessage('feat: add login');
+    assert.deepStrictEqual(codes(missing.errors), ['TICKET_MISSING']);
+    assert.strictEqual(missing.suggestion, 'feat(SHOP-1234): add login');
+  });
+
+  test('offer no suggestion for an empty subject', () => {
+    const empty = validator.validateCommitMessage('feat(SHOP-1): ');
+    assert.deepStrictEqual(codes(empty.errors), ['SUBJECT_EMPTY']);
+    assert.strictEqual(empty.suggestion, undefined);
+    assert.strictEqual(validator.validateCommitMessage('feat: ').suggestion, undefined);
+    assert.strictEqual(validator.validateCommitMessage('feat(SHOP-1): .').suggestion, undefined);
+    assert.strictEqual(validator.validateCommitMessage('feat(SHOP-1): add login.').suggestion, 'feat(SHOP-1): add login');
+  });
+
+  test('suggest the ticket in the first configured location', () => {
+    const footer = validatorWith({ commitConvention: 'conventional', conventional: { ticketIn: ['footer'] } });
+    const result = footer.validateCommitMessage('feat: add login');
+    assert.strictEqual(result.message, '❌ Line 1: No valid ticket ID found in commit footer');
+    assert.strictEqual(result.suggestion, 'feat: add login\n\nRefs: SHOP-1234');
+  });
+});
+
+describe('commit message layout', () => {
+  const validator = validatorWith();
+
+  test('checks the subject and the blank line after it, fixing both in the suggestion', () => {
+    const result = validator.validateCommitMessage('SHOP-1-fix.\nbody');
+    assert.deepStrictEqual(codes(result.errors), ['SUBJECT_TRAILING_PERIOD', 'BLANK_LINE_MISSING']);
+    assert.deepStrictEqual(result.errors.map(error => error.line), [1, 2]);
+    assert.strictEqual(result.suggestion, 'SHOP-1-fix\n\nbody');
+
+    const long = validator.validateCommitMessage(`SHOP-1-${'a'.repeat(80)}`);
+    assert.strictEqual(long.message, '❌ Line 1: Commit subject is 87 characters long (max 72)');
+  });
+
+  test('checks body line length, except for lines with URLs', () => {
+    const result = validator.validateCommitMessage(`SHOP-1-fix\n\n${'word '.repeat(20).trim()}`);
+    assert.deepStrictEqual(codes(result.errors), ['BODY_LINE_LENGTH']);
+    assert.strictEqual(result.errors[0].line, 3);
+    assert.strictEqual(validator.validateCommitMessage(`SHOP-1-fix\n\nSee https://example.com/${'x'.repeat(80)}`).valid, true);
+  });
+
+  test('follows the commitRules settings', () => {
+    const relaxed = validatorWith({ commitRules: { allowTrailingPeriod: true, subjectMaxLength: 0 } });
+    assert.strictEqual(relaxed.validateCommitMessage('SHOP-1-fix.').valid, true);
+    assert.strictEqual(relaxed.validateCommitMessage(`SHOP-1-${'a'.repeat(80)}`).valid, true);
+  });
+});
+
+describe('git-generated commit messages', () => {
+  test('are accepted in every commit convention', () => {
+    [validatorWith(), validatorWith({ commitConvention: 'conventional' })].forEach(validator => {
+      const result = validator.validateCommitMessage("Merge branch 'topic' into main");
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.message, '✅ Git-generated commit message accepted');
+      assert.strictEqual(validator.validateCommitMessage('fixup! SHOP-1-fix').valid, true);
+    });
+  });
+});
+
+describe('commit lists', () => {
+  const validator = validatorWith();
+  const commits = messages => messages.map((message, index) => ({ sha: String(index + 1).repeat(40), message }));
+
+  test('validate every commit against the branch', () => {
+    const result = validator.validateCommits(commits(['SHOP-1-fix', 'add login', 'PROJ-2-fix']), 'feature/SHOP-1-fix');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.message, '❌ 2 of 3 commits failed validation');
+    assert.deepStrictEqual(result.commits.map(commit => [commit.shortSha, commit.subject, codes(commit.result.errors)]), [
+      ['1111111', 'SHOP-1-fix', []],
+      ['2222222', 'add login', ['COMMIT_FORMAT']],
+      ['3333333', 'PROJ-2-fix', ['TICKET_MISMATCH']]
+    ]);
+  });
+
+  test('report an invalid branch after the commits', () => {
+    assert.strictEqual(validator.validateCommits(commits(['SHOP-1-fix']), 'feature/SHOP-1-fix').message,
+      '✅ All 1 commits are valid');
+    const result = validator.validateCommits(commits(['SHOP-1-fix']), 'feat/SHOP-1-fix');
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.message, '❌ Branch name is invalid');
+    assert.strictEqual(validator.validateCommits(commits(['PROJ-2-fix']), null).branchResult, null);
+  });
+});
+
+describe('error reports', () => {
+  const validator = validatorWith();
+
+  test('list every problem with its own fix and one suggestion fixing all of them', () => {
+    const result = validator.validateBranchName('feature/SHOP-1_Fix Login');
+    assert.strictEqual(result.message, '❌ Branch name cannot contain underscores. Use dashes (-) instead');
+    assert.deepStrictEqual(result.errors.map(error => [error.code, error.suggestion]), [
+      ['DESC_UNDERSCORES', 'feature/SHOP-1-Fix Login'],
+      ['DESC_SPACES', 'feature/SHOP-1-Fix-Login'],
+      ['DESC_UPPERCASE', 'feature/SHOP-1-fix login']
+    ]);
+    assert.strictEqual(result.suggestion, 'feature/SHOP-1-fix-login');
+  });
+
+  test('do the same for commit descriptions', () => {
+    const result = validator.validateCommitMessage('SHOP-123-Add login');
+    assert.deepStrictEqual(codes(result.errors), ['DESC_SPACES', 'DESC_UPPERCASE']);
+    assert.strictEqual(result.suggestion, 'SHOP-123-add-login');
+  });
+
+  test('use documented error codes', () => {
+    const results = [
+      validator.validateBranchName('feat/SHOP-1_Fix Login'),
+      validator.validateBranchName('feature/FOO-1-fix'),
+      validator.validateBranchName('feature/no-ticket'),
+      validator.validateCommitMessage('SHOP-1-Fix_it.\nbody'),
+      validator.validateBoth('feature/SHOP-1-fix', 'PROJ-2-fix')
+    ];
+    results.forEach(result => {
+      assert.ok(result.errors.length > 0);
+      result.errors.forEach(error => assert.ok(ERROR_CODES[error.code], `${error.code} is not in ERROR_CODES`));
+    });
+  });
+});
+
+describe('library API', () => {
+  test('logs through the given logger only', () => {
+    const messages = [];
+    const validator = validatorWith({}, { logger: { info: message => messages.push(message) } });
+    const log = console.log;
+    console.log = message => messages.push(`console: ${message}`);
+    try {
+      validator.validateBranchName('feature/SHOP-1-fix');
+      validator.validateBoth('feature/SHOP-1-fix', 'SHOP-1-fix');
+      validatorWith().validateCommitMessage('SHOP-1-fix');
+    } finally {
+      console.log = log;
+    }
+    assert.deepStrictEqual(messages, [
+      '🎫 Validating branch: feature/SHOP-1-fix',
+      '🔄 Validating both branch and commit...',
+      '🎫 Validating branch: feature/SHOP-1-fix',
+      '📝 Validating commit: SHOP-1-fix'
+    ]);
+  });
+
+  test('keeps the settings of each validator apart', () => {
+    const web = validatorWith({ projectKeys: ['WEB'] });
+    const api = validatorWith({ projectKeys: ['API'] });
+    assert.strictEqual(web.validateBranchName('feature/WEB-1-fix').valid, true);
+    assert.strictEqual(api.validateBranchName('feature/WEB-1-fix').valid, false);
+    assert.deepStrictEqual(api.config.projectKeys, ['API']);
+  });
+
+  test('fails on the first call, not on require, with a broken config file', () => {
+    const dir = tempDir();
+    writeFiles(dir, { '.branchvalidatorrc': '{ not json' });
+    const script = `const v = require(${JSON.stringify(path.resolve(__dirname, '..'))});
+      console.log('loaded');
+      try { v.validateBranchName('main'); } catch (error) { console.log(error.message); }`;
+    const run = spawnSync(process.execPath, ['-e', script], { cwd: dir, encoding: 'utf8' });
+    assert.strictEqual(run.status, 0, run.stderr);
+    assert.match(run.stdout, /^loaded\nInvalid JSON in config file .*\.branchvalidatorrc/);
+  });
+});
+
+describe('exempt branches', () => {
+  test('skip validation for the default protected and bot branches', () => {
+    const validator = validatorWith();
+    const result = validator.validateBranchName('main');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.message, "✅ Branch is exempt from validation (matches 'main')");
+    assert.strictEqual(validator.validateBranchName('dependabot/npm_and_yarn/lodash-4.17.21').exemptRule, 'dependabot/**');
+    assert.strictEqual(validator.validateBranchName('mainline').exempt, undefined);
+  });
+
+  test('match globs, with * and ? inside one path segment', () => {
+    const validator = validatorWith({ exemptBranches: ['release/*', 'bots/**', 'v?.*'] });
+    assert.strictEqual(validator.validateBranchName('release/1.2').exempt, true);
+    assert.strictEqual(validator.validateBranchName('release/1.2/hotfix').exempt, undefined);
+    assert.strictEqual(validator.validateBranchName('bots/renovate/lodash').exempt, true);
+    assert.strictEqual(validator.validateBranchName('v1.2').exempt, true);
+    assert.strictEqual(validator.validateBranchName('v12.3').exempt, undefined);
+    assert.strictEqual(validator.validateBranchName('main').exempt, undefined);
+  });
+
+  test('skip the ticket consistency check of their commits', () => {
+    const validator = validatorWith();
+    assert.strictEqual(validator.validateBoth('main', 'SHOP-1-fix').valid, true);
+  });
+});
+
+describe('branch type rules', () => {
+  const validator = validatorWith({
+    branchTypes: [
+      'feature',
+      { name: 'release', format: '{type}/{version}' },
+      { name: 'chore', ticket: 'optional' },
+      { name: 'hotfix', projectKeys: ['OPS'], description: { allowUppercase: true, maxLength: 10 } }
+    ]
+  });
+
+  test('use the format of their type', () => {
+    assert.strictEqual(validator.validateBranchName('release/1.2.0').version, '1.2.0');
+    assert.deepStrictEqual(codes(validator.validateBranchName('release/SHOP-1-notes').errors), ['BRANCH_FORMAT']);
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/notes').errors), ['BRANCH_FORMAT']);
+  });
+
+  test('make the ticket optional', () => {
+    assert.strictEqual(validator.validateBranchName('chore/bump-deps').valid, true);
+    assert.strictEqual(validator.validateBranchName('chore/SHOP-1-bump-deps').ticketId, 'SHOP-1');
+  });
+
+  test('restrict project keys and description rules per type', () => {
+    assert.strictEqual(validator.validateBranchName('hotfix/OPS-1-Fix-DNS').valid, true);
+    const key = validator.validateBranchName('hotfix/SHOP-1-fix');
+    assert.deepStrictEqual(codes(key.errors), ['UNKNOWN_PROJECT_KEY']);
+    assert.strictEqual(key.errors[0].message, "Invalid project key 'SHOP' for hotfix branches. Valid keys: OPS");
+
+    const long = validator.validateBranchName('hotfix/OPS-1-fix-dns-resolution');
+    assert.deepStrictEqual(codes(long.errors), ['DESC_MAX_LENGTH']);
+    assert.strictEqual(long.suggestion, 'hotfix/OPS-1-fix-dns-re');
+  });
+
+  test('reject an invalid ticket setting', () => {
+    assert.throws(() => validatorWith({ branchTypes: [{ name: 'chore', ticket: 'maybe' }] }),
+      /Invalid ticket setting 'maybe' for branch type chore. Use 'required' or 'optional'/);
+  });
+});
+
+describe('ticket syntaxes', () => {
+  test('read GitHub issue numbers', () => {
+    const validator = validatorWith({ ticketSyntax: 'github' });
+    assert.deepStrictEqual(validator.validateBranchName('feature/#12-fix').ticketIds, ['#12']);
+    assert.deepStrictEqual(validator.validateBranchName('feature/GH-12-fix').ticketIds, ['GH-12']);
+  });
+
+  test('read Azure Boards and lowercase Linear IDs', () => {
+    assert.deepStrictEqual(validatorWith({ ticketSyntax: 'azure' }).validateBranchName('feature/AB#12-fix').ticketIds, ['AB#12']);
+    const linear = validatorWith({ ticketSyntax: 'linear', projectKeys: ['ENG'] }).validateBranchName('feature/eng-12-fix');
+    assert.strictEqual(linear.valid, true);
+    assert.strictEqual(linear.projectKey, 'ENG');
+  });
+
+  test('use a custom pattern in formats and messages', () => {
+    const validator = validatorWith({ ticketSyntax: { pattern: 'T(?<number>\\d+)', example: 'T42' } });
+    assert.strictEqual(validator.validateBranchName('feature/T42-fix').valid, true);
+    assert.match(validator.validateBranchName('feature/SHOP-1-fix').message, /Expected: feature\/T42-description/);
+  });
+});
+
+describe('several tickets', () => {
+  const validator = validatorWith();
+
+  test('are read from branch names, each checked for its project key', () => {
+    assert.deepStrictEqual(validator.validateBranchName('feature/SHOP-1-SHOP-2-shared').ticketIds, ['SHOP-1', 'SHOP-2']);
+    assert.deepStrictEqual(validator.extractTicketIds('feature/SHOP-1-SHOP-2-shared'), ['SHOP-1', 'SHOP-2']);
+    assert.strictEqual(validator.extractTicketId('feature/SHOP-1-SHOP-2-shared'), 'SHOP-1');
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/FOO-1-fix').errors), ['UNKNOWN_PROJECT_KEY']);
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/SHOP-1-FOO-2-fix').errors), ['UNKNOWN_PROJECT_KEY']);
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/no-ticket').errors), ['BRANCH_FORMAT']);
+  });
+
+  test('are read from commit ticket trailers only', () => {
+    const result = validator.validateCommitMessage('SHOP-1-fix\n\nRefs: PROJ-2\nRelease-Note: requires TASK-3');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.ticketIds, ['SHOP-1', 'PROJ-2']);
+    assert.deepStrictEqual(codes(validator.validateCommitMessage('SHOP-1-fix\n\nRefs: FOO-2').errors), ['UNKNOWN_PROJECT_KEY']);
+  });
+
+  test('match when the branch and the commit share one', () => {
+    assert.strictEqual(validator.validateBoth('feature/SHOP-1-fix', 'SHOP-1-fix').valid, true);
+    assert.strictEqual(validator.validateBoth('feature/SHOP-1-SHOP-2-shared', 'SHOP-2-fix').valid, true);
+    const mismatch = validator.validateBoth('feature/SHOP-1-SHOP-2-shared', 'PROJ-3-fix');
+    assert.deepStrictEqual(codes(mismatch.errors), ['TICKET_MISMATCH']);
+    assert.strictEqual(mismatch.errors[0].message, 'Ticket ID mismatch: Branch has [SHOP-1, SHOP-2], commit has PROJ-3');
+    assert.deepStrictEqual(codes(validator.validateBoth('feature/SHOP-1-fix', 'PROJ-2-fix').errors), ['TICKET_MISMATCH']);
+  });
+});
+
+describe('git ref-name rules', () => {
+  const validator = validatorWith();
+
+  test('apply to branch names, with a fixed name as suggestion', () => {
+    const dots = validator.validateBranchName('feature/SHOP-1-a..b');
+    assert.deepStrictEqual(codes(dots.errors), ['REF_DOUBLE_DOT']);
+    assert.strictEqual(dots.suggestion, 'feature/SHOP-1-a.b');
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/SHOP-1-fix.lock').errors), ['REF_LOCK_SUFFIX']);
+  });
+
+  test('include the length limit', () => {
+    const long = validator.validateBranchName(`feature/SHOP-1-${'a'.repeat(120)}`);
+    assert.deepStrictEqual(codes(long.errors), ['BRANCH_MAX_LENGTH']);
+    assert.strictEqual(long.suggestion.length, 100);
+    assert.strictEqual(validatorWith({ branchRules: { maxLength: 0 } }).validateBranchName(`feature/SHOP-1-${'a'.repeat(120)}`).valid, true);
+  });
+});
+
+describe('branch names from titles', () => {
+  const validator = validatorWith({
+    branchTypes: ['feature', 'bugfix', { name: 'release', format: '{type}/{version}' }, { name: 'chore', ticket: 'optional' }]
+  });
+
+  test('are built from the type, ticket and title', () => {
+    const result = validator.generateBranchName("Fix user can't log in (SSO)", { type: 'bugfix', ticket: 'SHOP-1' });
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.branchName, 'bugfix/SHOP-1-fix-user-cant-log-in-sso');
+    assert.strictEqual(validator.generateBranchName('The cart of the user', { ticket: 'SHOP-1', stopwords: true }).branchName,
+      'feature/SHOP-1-cart-user');
+    assert.strictEqual(validator.generateBranchName('Bump deps', { type: 'chore' }).branchName, 'chore/bump-deps');
+  });
+
+  test('fit the branch length limit', () => {
+    const result = validator.generateBranchName(`${'word '.repeat(30)}end`, { ticket: 'SHOP-1' });
+    assert.strictEqual(result.valid, true);
+    assert.ok(result.branchName.length <= 100, result.branchName);
+    assert.match(result.branchName, /-word$/);
+  });
+
+  test('fail for types, tickets and titles they cannot be built from', () => {
+    assert.throws(() => validator.generateBranchName('Fix', { type: 'nope' }), /Unknown branch type 'nope'/);
+    assert.throws(() => validator.generateBranchName('Fix'), /A ticket is required for feature branches/);
+    assert.throws(() => validator.generateBranchName('Fix', { type: 'release' }),
+      /Cannot generate a release branch name: \{version\} in "\{type\}\/\{version\}" cannot be filled from a title/);
+    assert.throws(() => validator.generateBranchName('!!!', { ticket: 'SHOP-1' }), /Title "!!!" has no words/);
+  });
+});
+
+describe('rule severities', () => {
+  test('turn rules into warnings or off', () => {
+    const validator = validatorWith({ rules: { DESC_UPPERCASE: 'warn', UNKNOWN_PROJECT_KEY: 'off' } });
+    const result = validator.validateBranchName('feature/SHOP-1-Add-Login');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(codes(result.warnings), ['DESC_UPPERCASE']);
+    assert.strictEqual(result.warnings[0].severity, 'warn');
+    assert.strictEqual(result.suggestion, 'feature/SHOP-1-add-login');
+    assert.strictEqual(validator.validateBranchName('feature/FOO-1-fix').valid, true);
+  });
+
+  test('accept ESLint numbers', () => {
+    const validator = validatorWith({ rules: { DESC_UPPERCASE: 1, UNKNOWN_PROJECT_KEY: 0 } });
+    assert.deepStrictEqual(codes(validator.validateBranchName('feature/FOO-1-Fix').warnings), ['DESC_UPPERCASE']);
+  });
+
+  test('leave fixes for rules set to off out of suggestions', () => {
+    const validator = validatorWith({ rules: { DESC_UPPERCASE: 'off' } });
+    assert.strictEqual(validator.validateBranchName('feature/SHOP-1-Fix Login').suggestion, 'feature/SHOP-1-Fix-Login');
+  });
+
+  test('keep the original prefix in suggestions when BRANCH_PREFIX is off', () => {
+    const validator = validatorWith({ rules: { BRANCH_PREFIX: 'off', DESC_UPPERCASE: 'warn' } });
+    const result = validator.validateBranchName('feat/SHOP-1-Fix');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(codes(result.warnings), ['DESC_UPPERCASE']);
+    assert.strictEqual(result.suggestion, 'feat/SHOP-1-fix');
+    assert.strictEqual(validator.validateBranchName('SHOP-1-Fix').suggestion, 'SHOP-1-fix');
+    assert.strictEqual(validator.validateBranchName('feat/SHOP-1-a..b').suggestion, 'feat/SHOP-1-a.b');
+  });
+
+  test('reject unknown rules and invalid levels', () => {
+    assert.throws(() => validatorWith({ rules: { DESC_UPPERCASE: 'loud' } }),
+      /Invalid severity 'loud' for rule DESC_UPPERCASE. Use one of: off, warn, error/);
+    assert.throws(() => validatorWith({ rules: { NOPE: 'off' } }), /Unknown rule 'NOPE' in rules/);
+  });
+});
+
+describe('tracker checks', () => {
+  const tracker = fakeTracker({
+    'SHOP-1': { id: 'SHOP-1', summary: 'Add login page', status: 'In Progress', type: 'Story' }
+  });
+  const validator = validatorWith({}, {
+    tracker: Object.assign({}, tracker, {
+      getIssue: id => (id === 'SHOP-5' ? Promise.reject(new Error('HTTP 500')) : tracker.getIssue(id))
+    })
+  });
+
+  test('accept an open ticket and return its issue', async () => {
+    const result = await validator.validateBranchNameAsync('feature/SHOP-1-add-login');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(result.issues.map(issue => issue.id), ['SHOP-1']);
+  });
+
+  test('report tickets the tracker does not know', async () => {
+    const result = await validator.validateBranchNameAsync('feature/SHOP-1-SHOP-9-add-login');
+    assert.deepStrictEqual(codes(result.errors), ['TICKET_NOT_FOUND']);
+    assert.strictEqual(result.errors[0].message, 'Ticket SHOP-9 does not exist in fake or is not accessible');
+  });
+
+  test('report lookup failures', async () => {
+    const result = await validator.validateBranchNameAsync('feature/SHOP-5-add-login');
+    assert.deepStrictEqual(codes(result.errors), ['TRACKER_ERROR']);
+    assert.strictEqual(result.errors[0].message, 'Could not look up SHOP-5: HTTP 500');
+  });
+
+  test('leave format validation synchronous and skip invalid branches', async () => {
+    const result = validator.validateBranchName('feature/SHOP-9-add-login');
+    assert.strictEqual(result.valid, true);
+    assert.strictEqual(result.issues, undefined);
+    assert.deepStrictEqual(codes((await validator.validateBranchNameAsync('feature/Add login')).errors), ['BRANCH_FORMAT', 'DESC_SPACES']);
+  });
+});
+
+describe('ticket status and assignee', () => {
+  const issues = {
+    'SHOP-1': { id: 'SHOP-1', summary: 'Add login page', status: 'In Progress', assignee: { name: 'Dev', email: 'dev@example.com' } },
+    'SHOP-2': { id: 'SHOP-2', summary: 'Login page', status: "Won't Do" },
+    'SHOP-3': { id: 'SHOP-3', summary: 'Login page', status: 'Backlog' }
+  };
+
+  test('reject closed tickets and warn about backlog tickets', async () => {
+    const validator = validatorWith({}, { tracker: fakeTracker(issues) });
+    const closed = await validator.validateBranchNameAsync('feature/SHOP-2-login-page');
+    assert.deepStrictEqual(codes(closed.errors), ['TICKET_CLOSED']);
+    assert.strictEqual(closed.errors[0].message, "Ticket SHOP-2 is Won't Do. Use a ticket that is still open");
+
+    const backlog = await validator.validateBranchNameAsync('feature/SHOP-3-login-page');
+    assert.strictEqual(backlog.valid, true);
+    assert.deepStrictEqual(codes(backlog.warnings), ['TICKET_BACKLOG']);
+  });
+
+  test('use the configured statuses', async () => {
+    const validator = validatorWith({ tracker: { closedStatuses: ['Shipped'], backlogStatuses: ['Icebox'] } }, {
+      tracker: fakeTracker({ 'SHOP-1': { id: 'SHOP-1', summary: 'Login', status: 'shipped' } })
+    });
+    assert.deepStrictEqual(codes((await validator.validateBranchNameAsync('feature/SHOP-1-login')).errors), ['TICKET_CLOSED']);
+  });
+
+  test('check the assignee against the committer when enabled', async () => {
+    const validator = validatorWith({ rules: { TICKET_ASSIGNEE: 'error' } }, { tracker: fakeTracker(issues) });
+    assert.strictEqual((await validator.validateBranchNameAsync('feature/SHOP-1-login', { email: 'DEV@example.com' })).valid, true);
+    const other = await validator.validateBranchNameAsync('feature/SHOP-1-login', { email: 'other@example.com' });
+    assert.strictEqual(other.errors[0].message, 'Cannot start work on ticket SHOP-1: it is assigned to Dev, not other@example.com');
+    const unassigned = await validator.validateBranchNameAsync('feature/SHOP-3-login-page', { email: 'dev@example.com' });
+    assert.deepStrictEqual(codes(unassigned.errors), ['TICKET_ASSIGNEE']);
+    assert.match(unassigned.errors[0].message, /it is unassigned \(expected dev@example\.com\)/);
+  });
+
+  test('read the committer from git config user.email', async () => {
+    const validator = createValidator({
+      cwd: initRepo(),
+      env: {},
+      config: { rules: { TICKET_ASSIGNEE: 'error' } },
+      tracker: fakeTracker(issues)
+    });
+    assert.strictEqual((await validator.validateBranchNameAsync('feature/SHOP-1-login')).valid, true);
+  });
+});
+
+describe('issue types', () => {
+  const validator = validatorWith({
+    branchTypes: [{ name: 'feature', aliases: ['feat'] }, 'bugfix', 'hotfix'],
+    issueTypes: { bug: ['bugfix', 'hotfix'], Story: 'feat' }
+  }, {
+    tracker: fakeTracker({
+      'SHOP-1': { id: 'SHOP-1', summary: 'Add login page', status: 'In Progress', type: 'Story' },
+      'SHOP-2': { id: 'SHOP-2', summary: 'Crash on checkout', status: 'In Progress', type: 'Bug' },
+      'SHOP-3': { id: 'SHOP-3', summary: 'Checkout', status: 'In Progress', type: 'Epic' }
+    })
+  });
+
+  test('require one of the mapped branch types, suggesting the first', async () => {
+    const result = await validator.validateBranchNameAsync('feature/SHOP-2-checkout-crash');
+    assert.deepStrictEqual(codes(result.errors), ['TICKET_TYPE']);
+    assert.strictEqual(result.errors[0].message, 'Ticket SHOP-2 is a Bug, which needs a bugfix or hotfix branch (not feature)');
+    assert.strictEqual(result.suggestion, 'bugfix/SHOP-2-checkout-crash');
+    assert.strictEqual((await validator.validateBranchNameAsync('hotfix/SHOP-2-checkout-crash')).valid, true);
+  });
+
+  test('resolve aliases and leave unmapped issue types alone', async () => {
+    assert.strictEqual((await validator.validateBranchNameAsync('feat/SHOP-1-login-page')).valid, true);
+    assert.strictEqual((await validator.validateBranchNameAsync('bugfix/SHOP-3-checkout')).valid, true);
+  });
+
+  test('reject unknown branch types', () => {
+    assert.throws(() => validatorWith({ issueTypes: { Bug: ['nope'] } }),
+      /Unknown branch type 'nope' for issue type Bug in issueTypes/);
+  });
+});
+
+describe('ticket registry', () => {
+  const dir = tempDir();
+  writeFiles(dir, {
+    'tickets.json': [
+      { key: 'SHOP-1', summary: 'Add login page', status: 'In Progress' },
+      { key: 'SHOP-2', summary: 'Checkout', status: 'Done' }
+    ]
+  });
+  const validator = createValidator({ cwd: dir, env: {}, config: { tracker: { provider: 'registry', file: 'tickets.json' } } });
+
+  test('checks existence and status against the local file', async () => {
+    assert.strictEqual((await validator.validateBranchNameAsync('feature/SHOP-1-login')).valid, true);
+    assert.deepStrictEqual(codes((await validator.validateBranchNameAsync('feature/SHOP-2-checkout')).errors), ['TICKET_CLOSED']);
+    const missing = await validator.validateBranchNameAsync('feature/SHOP-3-login');
+    assert.deepStrictEqual(codes(missing.errors), ['TICKET_NOT_FOUND']);
+    assert.strictEqual(missing.errors[0].message, 'Ticket SHOP-3 is not listed in the ticket registry');
+  });
+
+  test('warns about a description unrelated to the ticket summary', async () => {
+    const result = await validator.validateBranchNameAsync('feature/SHOP-1-update-readme');
+    assert.strictEqual(result.valid, true);
+    assert.deepStrictEqual(codes(result.warnings), ['TICKET_SUMMARY']);
+    assert.strictEqual(result.warnings[0].message,
+      `Branch description 'update-readme' has nothing in common with SHOP-1 "Add login page"`);
+    assert.strictEqual(result.suggestion, 'feature/SHOP-1-add-login-page');
+  });
+
+  test('leaves the summary check to the TICKET_SUMMARY rule', async () => {
+    const quiet = createValidator({
+      cwd: dir,
+      env: {},
+      config: { rules: { TICKET_SUMMARY: 'off' }, tracker: { provider: 'registry', file: 'tickets.json' } }
+    });
+    assert.deepStrictEqual((await quiet.validateBranchNameAsync('feature/SHOP-1-update-readme')).warnings, []);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Git ref-name rule tests (ref-name.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const { checkRefName, sanitizeRefName } = require('../ref-name');
+
+const codes = name => checkRefName(name).map(error => error.code);
+
+describe('ref-name rules', () => {
+  test('report each rule git check-ref-format applies', () => {
+    assert.deepStrictEqual(codes('feature/SHOP-1-ok'), []);
+    assert.deepStrictEqual(codes('HEAD'), ['REF_RESERVED']);
+    assert.deepStrictEqual(codes('-feature'), ['REF_LEADING_DASH']);
+    assert.deepStrictEqual(codes('a b'), ['DESC_SPACES']);
+    assert.deepStrictEqual(codes('a..b'), ['REF_DOUBLE_DOT']);
+    assert.deepStrictEqual(codes('a@{b'), ['REF_AT_BRACE']);
+    assert.deepStrictEqual(codes('a//b'), ['REF_SLASH']);
+    assert.deepStrictEqual(codes('a/.b'), ['REF_COMPONENT_DOT']);
+    assert.deepStrictEqual(codes('a.lock/b'), ['REF_LOCK_SUFFIX']);
+    assert.deepStrictEqual(codes('a.'), ['REF_TRAILING_DOT']);
+  });
+
+  test('name the invalid characters found', () => {
+    assert.deepStrictEqual(checkRefName('a~b^c\x01'), [
+      { code: 'REF_INVALID_CHAR', message: "Branch name cannot contain '~', '^' and control characters" }
+    ]);
+  });
+
+  test('check the length only when a maximum is given', () => {
+    assert.deepStrictEqual(checkRefName('feature', 5), [
+      { code: 'BRANCH_MAX_LENGTH', message: 'Branch name is 7 characters long (max 5)' }
+    ]);
+    assert.deepStrictEqual(checkRefName('feature'), []);
+  });
+});
+
+describe('ref-name sanitizing', () => {
+  const names = ['feature/a..b', 'feature/x~y^z', 'feature//.hidden/a.lock', 'feature/a b', '-feature/x.', 'a@{1}', 'feature/x/'];
+
+  test('produces names git accepts', () => {
+    assert.deepStrictEqual(names.map(name => sanitizeRefName(name)),
+      ['feature/a.b', 'feature/x-y-z', 'feature/hidden/a', 'feature/a-b', 'feature/x', 'a-1', 'feature/x']);
+    names.forEach(name => {
+      const sanitized = sanitizeRefName(name);
+      assert.deepStrictEqual(checkRefName(sanitized), [], sanitized);
+      assert.strictEqual(spawnSync('git', ['check-ref-format', '--branch', sanitized]).status, 0, sanitized);
+    });
+  });
+
+  test('cuts to the maximum length without a trailing separator', () => {
+    assert.strictEqual(sanitizeRefName('feature/abc-def', 12), 'feature/abc');
+  });
+});
@@ -0,0 +1,30 @@
+/**
+ * Title slug tests (slugify.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { slugify, transliterate } = require('../slugify');
+
+describe('slugs', () => {
+  test('are lowercase words joined by dashes, without apostrophes', () => {
+    assert.strictEqual(slugify("Fix user can't log in with SSO (Okta)"), 'fix-user-cant-log-in-with-sso-okta');
+    assert.strictEqual(slugify('!!!'), '');
+  });
+
+  test('transliterate accented and special letters', () => {
+    assert.strictEqual(slugify('Crème brûlée & Straße'), 'creme-brulee-and-strasse');
+    assert.strictEqual(transliterate('Łódź Ærø'), 'Lodz AEro');
+  });
+
+  test('drop the built-in or given stopwords', () => {
+    assert.strictEqual(slugify('The cart of the user', { stopwords: true }), 'cart-user');
+    assert.strictEqual(slugify('one two three', { stopwords: ['two'] }), 'one-three');
+  });
+
+  test('are cut at a word boundary, unless the first word is too long', () => {
+    assert.strictEqual(slugify('alpha beta gamma', { maxLength: 12 }), 'alpha-beta');
+    assert.strictEqual(slugify('alpha beta gamma', { maxLength: 10 }), 'alpha-beta');
+    assert.strictEqual(slugify('supercalifragilistic', { maxLength: 5 }), 'super');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * Naming format template tests (template.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { compileTemplate, parseTemplate } = require('../template');
+
+const PLACEHOLDERS = {
+  type: { pattern: 'feature|bugfix', example: 'feature' },
+  // Groups inside a placeholder pattern must not shift the placeholders after it
+  ticket: { pattern: '(?<key>[A-Z]+)-(?<number>\\d+)', example: 'SHOP-1' },
+  description: { pattern: '.+', example: 'description' }
+};
+
+describe('templates', () => {
+  const format = compileTemplate('{type}/{ticket}-{description}', PLACEHOLDERS);
+
+  test('split into literals and placeholders', () => {
+    assert.deepStrictEqual(parseTemplate('{ticket}: {Subject}'), [
+      { placeholder: 'ticket' },
+      { literal: ': ' },
+      { placeholder: 'Subject' }
+    ]);
+  });
+
+  test('match values into placeholder fields', () => {
+    assert.deepStrictEqual(format.match('feature/SHOP-12-add-login'), {
+      type: 'feature',
+      ticket: 'SHOP-12',
+      description: 'add-login'
+    });
+    assert.strictEqual(format.match('feature/add-login'), null);
+  });
+
+  test('match leniently with underscores and spaces for dashes', () => {
+    assert.deepStrictEqual(format.matchLenient('feature/SHOP-12_add login'), {
+      fields: { type: 'feature', ticket: 'SHOP-12', description: 'add login' },
+      separators: ['_']
+    });
+  });
+
+  test('render from fields and examples', () => {
+    assert.strictEqual(format.render(), 'feature/SHOP-1-description');
+    assert.strictEqual(format.render({ type: 'bugfix', description: 'fix-crash' }), 'bugfix/SHOP-1-fix-crash');
+  });
+
+  test('reject unknown and repeated placeholders', () => {
+    assert.throws(() => compileTemplate('{type}/{nope}', PLACEHOLDERS),
+      /Unknown placeholder \{nope\} in format "\{type\}\/\{nope\}". Available: \{type\}, \{ticket\}, \{description\}/);
+    assert.throws(() => compileTemplate('{type}/{type}', PLACEHOLDERS), /Placeholder \{type\} appears more than once/);
+  });
+});
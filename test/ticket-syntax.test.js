@@ -0,0 +1,41 @@
+/**
+ * Ticket ID syntax tests (ticket-syntax.js)
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { resolveTicketSyntax, parseTicketId } = require('../ticket-syntax');
+
+describe('ticket syntaxes', () => {
+  test('resolve built-in names with an example for the first project key', () => {
+    const jira = resolveTicketSyntax('jira', ['SHOP']);
+    assert.strictEqual(jira.name, 'jira');
+    assert.strictEqual(jira.keyed, true);
+    assert.strictEqual(jira.example, 'SHOP-1234');
+    assert.ok(new RegExp(`^${jira.listPattern}$`).test('SHOP-12-SHOP-13'));
+    assert.strictEqual(resolveTicketSyntax('github').keyed, false);
+  });
+
+  test('accept a custom pattern with a number group', () => {
+    const syntax = resolveTicketSyntax({ pattern: 'T(?<number>\\d+)', example: 'T42' });
+    assert.strictEqual(syntax.name, 'custom');
+    assert.strictEqual(syntax.keyed, false);
+    assert.strictEqual(syntax.example, 'T42');
+  });
+
+  test('reject unknown names and invalid patterns', () => {
+    assert.throws(() => resolveTicketSyntax('nope'), /Unknown ticket syntax 'nope'. Available: jira, github, azure, linear/);
+    assert.throws(() => resolveTicketSyntax({}), /ticketSyntax must be a syntax name or an object with a pattern/);
+    assert.throws(() => resolveTicketSyntax({ pattern: '(' }), /Invalid ticket syntax pattern "\("/);
+    assert.throws(() => resolveTicketSyntax({ pattern: 'T\\d+' }), /must have a \(\?<number>\.\.\.\) group/);
+  });
+});
+
+describe('ticket IDs', () => {
+  test('split into an uppercase key and a number', () => {
+    assert.deepStrictEqual(parseTicketId(resolveTicketSyntax('jira'), 'SHOP-12'), { key: 'SHOP', number: '12' });
+    assert.deepStrictEqual(parseTicketId(resolveTicketSyntax('linear'), 'eng-5'), { key: 'ENG', number: '5' });
+    assert.deepStrictEqual(parseTicketId(resolveTicketSyntax('github'), '#5'), { key: null, number: '5' });
+    assert.strictEqual(parseTicketId(resolveTicketSyntax('jira'), 'SHOP'), null);
+  });
+});
@@ -0,0 +1,457 @@
+/**
+ * Tracker provider tests, each against a local fake HTTP server
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createJiraProvider } = require('../trackers/jira');
+const { createGitHubProvider } = require('../trackers/github');
+const { createGitLabProvider } = require('../trackers/gitlab');
+const { createLinearProvider } = require('../trackers/linear');
+const { createRegistryProvider } = require('../trackers/registry');
+const { createTracker, syncTickets } = require('../trackers');
+const { createValidator } = require('..');
+
+/**
+ * Start a fake API on a free port. handler(request) returns [status, body] for each
+ * { method, url, headers, body } request; requests are recorded in order.
+ */
+function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let text = '';
+    req.on('data', chunk => { text += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: text ? JSON.parse(text) : null };
+      requests.push(request);
+      const [status, data] = handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({
+      url: `http://127.0.0.1:${server.address().port}`,
+      requests,
+      close: () => new Promise(done => server.close(done))
+    }));
+  });
+}
+
+/**
+ * A scratch directory removed after the tests of the file
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'validate-git-test-'));
+}
+
+const jiraIssue = (key, status = 'In Progress') => ({
+  key,
+  fields: {
+    summary: `Summary of ${key}`,
+    status: { name: status, statusCategory: { key: status === 'Done' ? 'done' : 'indeterminate' } },
+    issuetype: { name: 'Bug' },
+    assignee: { displayName: 'Dev', emailAddress: 'dev@example.com' }
+  }
+});
+
+describe('jira provider', () => {
+  const issues = Array.from({ length: 150 }, (_, index) => jiraIssue(`SHOP-${index + 1}`));
+  let server;
+  let jira;
+
+  before(async () => {
+    server = await startServer(request => {
+      if (request.headers.authorization !== `Basic ${Buffer.from('me:token').toString('base64')}`) {
+        return [401, { errorMessages: ['Unauthorized'] }];
+      }
+      const match = request.url.match(/^\/rest\/api\/2\/issue\/([^?]+)/);
+      if (match) {
+        const issue = issues.find(candidate => candidate.key === match[1]);
+        return issue ? [200, issue] : [404, { errorMessages: ['Issue does not exist'] }];
+      }
+      if (request.url === '/rest/api/2/search') {
+        const { startAt = 0, maxResults } = request.body;
+        const keys = (request.body.jql.match(/^key in \((.*)\)$/) || [])[1];
+        const found = keys ? issues.filter(issue => keys.split(', ').includes(issue.key)) : issues;
+        return [200, { total: found.length, issues: found.slice(startAt, startAt + maxResults) }];
+      }
+      return [500, {}];
+    });
+    jira = createJiraProvider({ url: server.url, username: 'me', token: 'token' });
+  });
+  after(() => server.close());
+
+  test('normalizes a found issue', async () => {
+    assert.deepStrictEqual(await jira.getIssue('SHOP-1'), {
+      id: 'SHOP-1',
+      summary: 'Summary of SHOP-1',
+      status: 'In Progress',
+      statusCategory: 'indeterminate',
+      type: 'Bug',
+      assignee: { name: 'Dev', email: 'dev@example.com' },
+      url: `${server.url}/browse/SHOP-1`
+    });
+  });
+
+  test('resolves with null for a missing issue', async () => {
+    assert.strictEqual(await jira.getIssue('SHOP-999'), null);
+  });
+
+  test('rejects with an authentication error', async () => {
+    const denied = createJiraProvider({ url: server.url, username: 'me', token: 'wrong' });
+    await assert.rejects(denied.getIssue('SHOP-1'), /Jira authentication failed \(401\)/);
+  });
+
+  test('searches several issues with one JQL query', async () => {
+    const found = await jira.searchIssues(['SHOP-2', 'SHOP-3', 'SHOP-999']);
+    assert.deepStrictEqual(found.map(issue => issue.id), ['SHOP-2', 'SHOP-3']);
+  });
+
+  test('lists issues page by page up to the limit', async () => {
+    server.requests.length = 0;
+    assert.strictEqual((await jira.listIssues(['SHOP'], 1000)).length, 150);
+    assert.deepStrictEqual(server.requests.map(request => request.body.startAt), [0, 100]);
+    assert.strictEqual(server.requests[0].body.jql, 'project in (SHOP) ORDER BY key');
+    assert.strictEqual((await jira.listIssues(['SHOP'], 120)).length, 120);
+  });
+
+  test('needs a url and a token', () => {
+    assert.throws(() => createJiraProvider({ url: server.url }), /Jira needs a url and an API token/);
+  });
+});
+
+describe('github provider', () => {
+  let server;
+  let github;
+
+  before(async () => {
+    server = await startServer(request => {
+      if (request.headers.authorization !== 'Bearer gh-token') return [401, { message: 'Bad credentials' }];
+      const match = request.url.match(/^\/repos\/acme\/web\/issues\/(\d+)$/);
+      if (match) {
+        if (match[1] === '7') {
+          return [200, { number: 7, title: 'Fix the crash on save', state: 'open', labels: [], pull_request: { url: 'https://api.github.com/repos/acme/web/pulls/7' } }];
+        }
+        return match[1] === '5'
+          ? [200, { number: 5, title: 'Crash on save', state: 'open', labels: [{ name: 'type: bug' }], assignee: { login: 'octo' }, html_url: 'https://github.com/acme/web/issues/5' }]
+          : [404, { message: 'Not Found' }];
+      }
+      const page = Number((request.url.match(/[?&]page=(\d+)/) || [])[1]);
+      if (page === 1) {
+        // One pull request among the first 100 results
+        return [200, Array.from({ length: 100 }, (_, index) => (index === 0
+          ? { number: 1, pull_request: {} }
+          : { number: index + 1, title: `Issue ${index + 1}`, state: 'closed', labels: [] }))];
+      }
+      return [200, [{ number: 101, title: 'Last', state: 'open', labels: [] }]];
+    });
+    github = createGitHubProvider({ repo: 'acme/web', url: server.url, token: 'gh-token' });
+  });
+  after(() => server.close());
+
+  test('looks issues up by number and reads the type from labels', async () => {
+    const issue = await github.getIssue('GH-5');
+    assert.strictEqual(issue.id, 'GH-5');
+    assert.strictEqual(issue.status, 'Open');
+    assert.strictEqual(issue.type, 'Bug');
+    assert.deepStrictEqual(issue.assignee, { name: 'octo', email: null });
+  });
+
+  test('resolves with null for a missing issue', async () => {
+    assert.strictEqual(await github.getIssue('#6'), null);
+  });
+
+  test('resolves with null for a pull request', async () => {
+    assert.strictEqual(await github.getIssue('#7'), null);
+
+    const dir = tempDir();
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const validator = createValidator({
+      cwd: dir,
+      env: { GITHUB_TOKEN: 'gh-token' },
+      config: { ticketSyntax: 'github', tracker: { provider: 'github', repo: 'acme/web', url: server.url, cacheTtl: 0 } }
+    });
+    const result = await validator.validateBranchNameAsync('feature/#7-fix-crash');
+    assert.deepStrictEqual(result.errors.map(error => error.code), ['TICKET_NOT_FOUND']);
+  });
+
+  test('rejects with an authentication error', async () => {
+    const denied = createGitHubProvider({ repo: 'acme/web', url: server.url });
+    await assert.rejects(denied.getIssue('#5'), /GitHub authentication failed \(401\)/);
+  });
+
+  test('lists issues page by page without pull requests', async () => {
+    const issues = await github.listIssues(['WEB'], 1000);
+    assert.strictEqual(issues.length, 100);
+    assert.strictEqual(issues[0].id, 'WEB-2');
+    assert.strictEqual(issues[99].id, 'WEB-101');
+    assert.strictEqual((await github.listIssues([], 1000))[0].id, '#2');
+  });
+
+  test('needs a repo', () => {
+    assert.throws(() => createGitHubProvider({}), /GitHub needs a repo setting/);
+  });
+});
+
+describe('gitlab provider', () => {
+  const issues = Array.from({ length: 120 }, (_, index) => ({
+    iid: index + 1,
+    title: `Issue ${index + 1}`,
+    state: index === 1 ? 'closed' : 'opened',
+    labels: index === 0 ? ['type::task'] : [],
+    issue_type: 'incident',
+    assignees: [{ name: 'Ops Person', username: 'ops' }],
+    web_url: `https://gitlab.example.com/acme/ops/-/issues/${index + 1}`
+  }));
+  let server;
+  let gitlab;
+
+  before(async () => {
+    server = await startServer(request => {
+      if (request.headers['private-token'] !== 'gl-token') return [401, { message: '401 Unauthorized' }];
+      const prefix = '/api/v4/projects/acme%2Fops/issues';
+      if (!request.url.startsWith(prefix)) return [404, { message: '404 Project Not Found' }];
+      const single = request.url.slice(prefix.length).match(/^\/(\d+)$/);
+      if (single) {
+        const issue = issues[Number(single[1]) - 1];
+        return issue ? [200, issue] : [404, { message: '404 Not found' }];
+      }
+      const iids = Array.from(request.url.matchAll(/iids\[\]=(\d+)/g), match => Number(match[1]));
+      if (iids.length > 0) return [200, issues.filter(issue => iids.includes(issue.iid))];
+      const page = Number(request.url.match(/[?&]page=(\d+)/)[1]);
+      return [200, issues.slice((page - 1) * 100, page * 100)];
+    });
+    gitlab = createGitLabProvider({ project: 'acme/ops', url: server.url, token: 'gl-token' });
+  });
+  after(() => server.close());
+
+  test('looks issues up by iid', async () => {
+    const issue = await gitlab.getIssue('OPS-1');
+    assert.strictEqual(issue.id, 'OPS-1');
+    assert.strictEqual(issue.type, 'Task');
+    assert.strictEqual(issue.assignee.name, 'Ops Person');
+    assert.strictEqual((await gitlab.getIssue('#2')).status, 'Closed');
+    assert.strictEqual((await gitlab.getIssue('#3')).type, 'Incident');
+  });
+
+  test('resolves with null for a missing issue', async () => {
+    assert.strictEqual(await gitlab.getIssue('OPS-500'), null);
+  });
+
+  test('rejects with an authentication error', async () => {
+    const denied = createGitLabProvider({ project: 'acme/ops', url: server.url });
+    await assert.rejects(denied.getIssue('OPS-1'), /GitLab authentication failed \(401\)/);
+  });
+
+  test('searches several issues with one request', async () => {
+    const found = await gitlab.searchIssues(['OPS-3', 'OPS-4', 'OPS-500']);
+    assert.deepStrictEqual(found.map(issue => issue.id), ['OPS-3', 'OPS-4']);
+  });
+
+  test('lists issues page by page', async () => {
+    const listed = await gitlab.listIssues(['OPS'], 1000);
+    assert.strictEqual(listed.length, 120);
+    assert.strictEqual(listed[119].id, 'OPS-120');
+    assert.strictEqual((await gitlab.listIssues([], 50)).length, 50);
+  });
+});
+
+describe('linear provider', () => {
+  const issue = (identifier, state) => ({
+    identifier,
+    title: `Title of ${identifier}`,
+    url: `https://linear.app/acme/issue/${identifier}`,
+    state,
+    assignee: { name: 'Lin', email: 'lin@example.com' },
+    labels: { nodes: [{ name: 'Feature' }] }
+  });
+  let server;
+  let linear;
+
+  before(async () => {
+    server = await startServer(request => {
+      if (request.headers.authorization !== 'lin-key') {
+        return [400, { errors: [{ message: 'Authentication required, not authenticated' }] }];
+      }
+      const { query, variables } = request.body;
+      if (query.includes('issues(')) {
+        return variables.after
+          ? [200, { data: { issues: { nodes: [issue('ENG-2', { name: 'Canceled', type: 'canceled' })], pageInfo: { hasNextPage: false, endCursor: null } } } }]
+          : [200, { data: { issues: { nodes: [issue('ENG-1', { name: 'Todo', type: 'unstarted' })], pageInfo: { hasNextPage: true, endCursor: 'cursor-1' } } } }];
+      }
+      const data = {};
+      const errors = [];
+      Array.from(query.matchAll(/(i\d+): issue\(id: "([^"]+)"\)/g)).forEach(([, alias, id]) => {
+        if (id === 'ENG-1') {
+          data[alias] = issue(id, { name: 'In Progress', type: 'started' });
+        } else {
+          data[alias] = null;
+          errors.push({ message: 'Entity not found: Issue', path: [alias] });
+        }
+      });
+      return [200, errors.length > 0 ? { data, errors } : { data }];
+    });
+    linear = createLinearProvider({ url: `${server.url}/graphql`, token: 'lin-key' });
+  });
+  after(() => server.close());
+
+  test('normalizes a found issue', async () => {
+    const found = await linear.getIssue('ENG-1');
+    assert.strictEqual(found.status, 'In Progress');
+    assert.strictEqual(found.statusCategory, 'indeterminate');
+    assert.strictEqual(found.type, 'Feature');
+    assert.deepStrictEqual(found.assignee, { name: 'Lin', email: 'lin@example.com' });
+  });
+
+  test('resolves with null for a missing issue', async () => {
+    assert.strictEqual(await linear.getIssue('ENG-9'), null);
+    assert.deepStrictEqual((await linear.searchIssues(['ENG-9', 'ENG-1'])).map(found => found.id), ['ENG-1']);
+  });
+
+  test('rejects with an API error for bad credentials', async () => {
+    const denied = createLinearProvider({ url: `${server.url}/graphql`, token: 'wrong' });
+    await assert.rejects(denied.getIssue('ENG-1'), /Linear API error \(400\): Authentication required/);
+  });
+
+  test('lists issues following the page cursor', async () => {
+    server.requests.length = 0;
+    const listed = await linear.listIssues(['ENG'], 1000);
+    assert.deepStrictEqual(listed.map(found => [found.id, found.statusCategory]), [['ENG-1', 'new'], ['ENG-2', 'done']]);
+    assert.deepStrictEqual(server.requests.map(request => request.body.variables), [
+      { after: null, filter: { team: { key: { in: ['ENG'] } } } },
+      { after: 'cursor-1', filter: { team: { key: { in: ['ENG'] } } } }
+    ]);
+  });
+});
+
+describe('registry provider', () => {
+  const dir = tempDir();
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('reads a Jira CSV export', async () => {
+    const file = path.join(dir, 'export.csv');
+    fs.writeFileSync(file, '\uFEFFSummary,Issue key,Issue id,Status,Issue Type,Assignee,Labels,Labels\r\n' +
+      '"Fix ""quoted"", title",SHOP-10,1001,Backlog,Bug,Jo Dev,a,b\r\n' +
+      '"two\nlines",shop-11,1002,Closed,Task,,,\r\n');
+    const registry = createRegistryProvider({ file });
+    assert.deepStrictEqual(await registry.getIssue('SHOP-10'), {
+      id: 'SHOP-10',
+      summary: 'Fix "quoted", title',
+      status: 'Backlog',
+      statusCategory: null,
+      type: 'Bug',
+      assignee: { name: 'Jo Dev', email: null },
+      url: null
+    });
+    assert.strictEqual((await registry.getIssue('SHOP-11')).summary, 'two\nlines');
+    assert.strictEqual(await registry.getIssue('SHOP-12'), null);
+  });
+
+  test('reads Jira REST issues and snapshot issues from JSON', async () => {
+    const file = path.join(dir, 'issues.json');
+    fs.writeFileSync(file, JSON.stringify({
+      issues: [jiraIssue('SHOP-1', 'Done'), { id: '#7', summary: 'GitHub issue', status: 'Open' }]
+    }));
+    const registry = createRegistryProvider({ file });
+    const found = await registry.searchIssues(['SHOP-1', 'GH-7', 'SHOP-2']);
+    assert.deepStrictEqual(found.map(issue => [issue.id, issue.status]), [['SHOP-1', 'Done'], ['GH-7', 'Open']]);
+    assert.deepStrictEqual(found[0].assignee, { name: 'Dev', email: 'dev@example.com' });
+    assert.strictEqual(found[0].statusCategory, 'done');
+  });
+
+  test('reports a missing file on lookup', async () => {
+    const registry = createRegistryProvider({ file: path.join(dir, 'missing.json') });
+    await assert.rejects(registry.getIssue('SHOP-1'), /file not found\. Run 'validate-git tickets sync'/);
+  });
+});
+
+describe('createTracker', () => {
+  const dir = tempDir();
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('routes tickets by project key and skips unconfigured providers', async () => {
+    const file = path.join(dir, 'web.json');
+    fs.writeFileSync(file, JSON.stringify([{ key: 'WEB-1', summary: 'Web', status: 'Open' }]));
+    const tracker = createTracker({
+      provider: 'jira',
+      projects: { web: { provider: 'registry', file: 'web.json' } }
+    }, { env: {}, baseDir: dir, keyOf: id => id.split('-')[0] });
+
+    assert.deepStrictEqual(tracker.routes.map(route => [route.key, route.name, Boolean(route.skipped)]),
+      [[null, 'jira', true], ['WEB', 'registry', false]]);
+    const lookup = await tracker.getIssues(['WEB-1', 'WEB-2', 'SHOP-1']);
+    assert.deepStrictEqual(lookup.issues.map(issue => [issue.id, issue.tracker]), [['WEB-1', 'registry']]);
+    assert.deepStrictEqual(lookup.missing, [{ id: 'WEB-2', tracker: 'registry' }]);
+    assert.deepStrictEqual(lookup.skipped, ['jira is not configured: set JIRA_API_URL and JIRA_API_TOKEN']);
+  });
+
+  test('caches issues in a private file and ignores a cache it cannot trust', async () => {
+    const cacheFile = path.join(dir, 'cache', 'issues.json');
+    let calls = 0;
+    const provider = { name: 'fake', getIssue: async id => { calls++; return { id, summary: 'real', status: 'Open' }; } };
+    const create = () => createTracker({ cacheFile, cacheTtl: 60 }, { provider });
+
+    await create().getIssues(['SHOP-1']);
+    await create().getIssues(['SHOP-1']);
+    assert.strictEqual(calls, 1);
+    if (process.platform !== 'win32') {
+      assert.strictEqual(fs.statSync(cacheFile).mode & 0o777, 0o600);
+    }
+
+    fs.writeFileSync(cacheFile, '{ not json');
+    await create().getIssues(['SHOP-1']);
+    assert.strictEqual(calls, 2);
+  });
+
+  test('resolves the closed and backlog statuses', () => {
+    const tracker = createTracker('jira', { env: {}, baseDir: dir });
+    assert.strictEqual(tracker.isClosed({ status: "won't do" }), true);
+    assert.strictEqual(tracker.isBacklog({ status: 'Backlog' }), true);
+    assert.strictEqual(tracker.isClosed({ status: 'In Progress' }), false);
+  });
+
+  test('rejects unknown providers', () => {
+    assert.throws(() => createTracker('youtrack', { env: {} }), /Unknown tracker provider 'youtrack'/);
+  });
+});
+
+describe('syncTickets', () => {
+  const dir = tempDir();
+  let server;
+
+  before(async () => {
+    server = await startServer(request => [200, {
+      total: 2,
+      issues: [jiraIssue('SHOP-1'), jiraIssue('SHOP-2', 'Done')].slice(request.body.startAt)
+    }]);
+  });
+  after(async () => {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a snapshot the registry can read', async () => {
+    const setting = { provider: 'registry', file: 'snapshot/tickets.json', source: { provider: 'jira', url: server.url } };
+    const result = await syncTickets(setting, { env: { JIRA_API_TOKEN: 'token' }, baseDir: dir, projectKeys: ['SHOP'] });
+
+    assert.strictEqual(result.file, path.join(dir, 'snapshot', 'tickets.json'));
+    assert.strictEqual(result.count, 2);
+    assert.deepStrictEqual(result.routes, [{ key: null, name: 'jira', count: 2 }]);
+    const registry = createTracker(setting, { env: {}, baseDir: dir });
+    const lookup = await registry.getIssues(['SHOP-2']);
+    assert.strictEqual(lookup.issues[0].status, 'Done');
+  });
+
+  test('needs a registry with a source', async () => {
+    await assert.rejects(syncTickets('jira', { env: {} }), /needs a tracker setting with provider 'registry'/);
+    await assert.rejects(
+      syncTickets({ provider: 'registry', file: 'tickets.json', source: 'jira' }, { env: {}, baseDir: dir }),
+      /Cannot sync tickets: jira is not configured/
+    );
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Branch and commit wizard tests (wizard.js), answering through piped streams
+ */
+
+const { describe, test } = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { runWizard } = require('../wizard');
+const { createValidator } = require('..');
+const { tempDir } = require('./helpers');
+
+const cwd = tempDir();
+
+/**
+ * Run the wizard with the given answer lines; resolves with { answers, output }
+ * or rejects with the wizard's error
+ */
+async function answer(config, lines, options = {}) {
+  const validator = createValidator({ cwd, env: {}, config });
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let written = '';
+  output.on('data', chunk => { written += chunk; });
+  input.end(lines.map(line => `${line}\n`).join(''));
+  const answers = await runWizard(validator, Object.assign({ input, output }, options));
+  return { answers, output: written };
+}
+
+describe('wizard without a terminal', () => {
+  test('reads one answer per line and builds the branch and commit', async () => {
+    const { answers, output } = await answer({}, ['2', 'PROJ', '42', 'Fix the crash', 'handle-empty-cart']);
+    assert.deepStrictEqual(answers, {
+      branchName: 'bugfix/PROJ-42-fix-the-crash',
+      commitMessage: 'PROJ-42-handle-empty-cart',
+      create: false
+    });
+    assert.match(output, /^ℹ️ {2}No interactive terminal: reading answers from stdin, one per line\n/);
+    assert.match(output, /🌿 Branch type \[1\]: 2\n/);
+    assert.match(output, / {3}✅ bugfix\/PROJ-42-fix-the-crash\n/);
+  });
+
+  test('takes the first option for empty answers and skips an empty commit message', async () => {
+    const { answers } = await answer({ branchTypes: ['feature', { name: 'chore', ticket: 'optional' }] }, ['', '', '1', 'Add login', '']);
+    assert.deepStrictEqual(answers, { branchName: 'feature/SHOP-1-add-login', commitMessage: null, create: false });
+  });
+
+  test('asks again after an invalid answer', async () => {
+    const { answers, output } = await answer({}, ['9', 'feature', 'SHOP', 'x', '', '7', 'Add login', 'add login', 'add-login'], { create: true });
+    assert.deepStrictEqual(answers, { branchName: 'feature/SHOP-7-add-login', commitMessage: 'SHOP-7-add-login', create: true });
+    assert.match(output, /❌ Choose 1-5 or one of: feature, bugfix, hotfix, release, chore\n/);
+    assert.match(output, /❌ 'SHOP-x' is not a valid ticket ID\n/);
+    assert.match(output, /❌ A ticket is required for feature branches\n/);
+    assert.match(output, /❌ Line 1: Commit description cannot contain spaces/);
+  });
+
+  test('skips the ticket questions for types without a ticket', async () => {
+    const { answers } = await answer({ branchTypes: [{ name: 'docs', format: '{type}/{description}' }] }, ['', 'Update readme', '']);
+    assert.strictEqual(answers.branchName, 'docs/update-readme');
+  });
+
+  test('asks for the full ticket ID with other syntaxes', async () => {
+    const { answers } = await answer({ ticketSyntax: 'github' }, ['', '#12', 'Add login', '']);
+    assert.strictEqual(answers.branchName, 'feature/#12-add-login');
+  });
+
+  test('fails when the input ends early', async () => {
+    await assert.rejects(answer({}, ['1', 'SHOP']), /Wizard ended before all questions were answered/);
+  });
+
+  test('fails when no branch type can be built from a title', async () => {
+    await assert.rejects(answer({ branchTypes: [{ name: 'release', format: '{type}/{version}' }] }, []),
+      /None of the branch types can be built from a title/);
+  });
+});
+
+describe('wizard branch types', () => {
+  test('leave out types whose format needs other placeholders', () => {
+    const validator = createValidator({
+      cwd,
+      env: {},
+      config: { branchTypes: ['feature', { name: 'release', format: '{type}/{version}' }, { name: 'chore', ticket: 'optional' }] }
+    });
+    assert.deepStrictEqual(validator.getGeneratedBranchTypes(), [
+      { name: 'feature', ticket: 'required' },
+      { name: 'chore', ticket: 'optional' }
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Ticket ID syntaxes
+ *
+ * A syntax is a regular expression source with named capture groups:
+ * - key: project key (optional; syntaxes without it skip the project key check)
+ * - number: issue number
+ *
+ * Built in: jira (`ABC2-45`), github (`#123`, `GH-123`, also used by GitLab),
+ * azure (`AB#123`) and linear (`ENG-123`, `eng-123`). A custom syntax is given
+ * as { pattern, example } in the ticketSyntax setting.
+ */
+
+const TICKET_SYNTAXES = {
+  jira: {
+    pattern: '(?<key>[A-Z][A-Z0-9]*)-(?<number>\\d+)',
+    example: key => `${key}-1234`
+  },
+  github: {
+    pattern: '(?:GH-|#)(?<number>\\d+)',
+    example: () => '#123'
+  },
+  azure: {
+    pattern: 'AB#(?<number>\\d+)',
+    example: () => 'AB#123'
+  },
+  linear: {
+    pattern: '(?<key>[A-Za-z][A-Za-z0-9]*)-(?<number>\\d+)',
+    example: key => `${key}-123`
+  }
+};
+
+/**
+ * Resolve the ticketSyntax setting (a built-in name or { pattern, example }) into
+ * { name, pattern, listPattern, regex, keyed, example }. listPattern matches one or more
+ * dash-separated ticket IDs (`SHOP-12-SHOP-13`); only its first ID has named groups.
+ */
+function resolveTicketSyntax(setting, projectKeys = []) {
+  let name;
+  let syntax;
+  if (typeof setting === 'string') {
+    name = setting;
+    syntax = TICKET_SYNTAXES[setting];
+    if (!syntax) {
+      throw new Error(`Unknown ticket syntax '${setting}'. Available: ${Object.keys(TICKET_SYNTAXES).join(', ')}`);
+    }
+  } else if (setting && setting.pattern) {
+    name = 'custom';
+    syntax = setting;
+  } else {
+    throw new Error('ticketSyntax must be a syntax name or an object with a pattern');
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(syntax.pattern);
+  } catch (error) {
+    throw new Error(`Invalid ticket syntax pattern "${syntax.pattern}": ${error.message}`);
+  }
+  if (!/\(\?<number>/.test(syntax.pattern)) {
+    throw new Error(`Ticket syntax pattern "${syntax.pattern}" must have a (?<number>...) group`);
+  }
+
+  const keyed = /\(\?<key>/.test(syntax.pattern);
+  const example = typeof syntax.example === 'function'
+    ? syntax.example(projectKeys[0] || 'KEY')
+    : syntax.example || (keyed ? `${projectKeys[0] || 'KEY'}-1234` : '1234');
+
+  const unnamed = syntax.pattern.replace(/\(\?<\w+>/g, '(?:');
+  const listPattern = `${syntax.pattern}(?:-${unnamed})*`;
+
+  return { name, pattern: syntax.pattern, listPattern, regex, keyed, example };
+}
+
+/**
+ * Split a ticket ID into { key, number } using the syntax's named groups.
+ * Keys are compared in uppercase; key is null for syntaxes without keys.
+ */
+function parseTicketId(syntax, ticketId) {
+  const match = ticketId.match(new RegExp(`^(?:${syntax.pattern})$`));
+  if (!match) return null;
+  return {
+    key: match.groups.key ? match.groups.key.toUpperCase() : null,
+    number: match.groups.number
+  };
+}
+
+module.exports = {
+  resolveTicketSyntax,
+  parseTicketId,
+  TICKET_SYNTAXES
+};
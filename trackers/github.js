@@ -0,0 +1,109 @@
+/**
+ * GitHub Issues tracker provider (REST API)
+ *
+ * Settings: repo ('owner/name'), token (optional for public repositories) and url
+ * (API root, default https://api.github.com; https://host/api/v3 for GitHub Enterprise).
+ * Tickets are looked up by their number, so `#12`, `GH-12` and `WEB-12` all mean issue 12.
+ */
+
+const { requestJson } = require('./http');
+const { typeFromLabels, issueNumber } = require('./issue');
+
+/**
+ * Convert a GitHub issue into the tracker issue shape. GitHub has no issue statuses
+ * beyond open/closed; the type comes from the issue type or a type label.
+ */
+function toIssue(id, data) {
+  const labels = (data.labels || []).map(label => (typeof label === 'string' ? label : label.name));
+  const assignee = data.assignee || (data.assignees || [])[0];
+  return {
+    id,
+    summary: data.title || '',
+    status: data.state === 'closed' ? 'Closed' : 'Open',
+    statusCategory: data.state === 'closed' ? 'done' : 'new',
+    type: data.type && data.type.name ? data.type.name : typeFromLabels(labels),
+    // GitHub does not expose assignee emails on issues
+    assignee: assignee ? { name: assignee.login, email: null } : null,
+    url: data.html_url
+  };
+}
+
+/**
+ * Turn an unexpected response into an Error naming the status and GitHub's message
+ */
+function responseError(response) {
+  if (response.status === 401 || response.status === 403) {
+    return new Error(`GitHub authentication failed (${response.status}). Check GITHUB_TOKEN`);
+  }
+  const message = response.data && response.data.message ? response.data.message : 'Unknown error';
+  return new Error(`GitHub API error (${response.status}): ${message}`);
+}
+
+/**
+ * Create a GitHub Issues provider: { name, getIssue(id), searchIssues(ids), listIssues(keys, limit) }
+ */
+function createGitHubProvider(settings = {}) {
+  if (!settings.repo || !/^[^/]+\/[^/]+$/.test(settings.repo)) {
+    throw new Error("GitHub needs a repo setting such as 'owner/name'");
+  }
+  const baseUrl = (settings.url || 'https://api.github.com').replace(/\/+$/, '');
+  const headers = {
+    Accept: 'application/vnd.github+json',
+    'User-Agent': 'validate-git'
+  };
+  if (settings.token) {
+    headers.Authorization = `Bearer ${settings.token}`;
+  }
+
+  /**
+   * Fetch one issue; resolves with null when it does not exist, is not visible or is
+   * a pull request (the issues endpoint serves those too)
+   */
+  async function getIssue(id) {
+    const number = issueNumber(id);
+    if (!number) return null;
+    const response = await requestJson(`${baseUrl}/repos/${settings.repo}/issues/${number}`,
+      { headers, timeout: settings.timeout });
+    if (response.status === 404 || response.status === 410) return null;
+    if (response.status !== 200 || !response.data) throw responseError(response);
+    if (response.data.pull_request) return null;
+    return toIssue(id, response.data);
+  }
+
+  /**
+   * Fetch several issues; GitHub has no lookup by a list of numbers, so one request each
+   */
+  async function searchIssues(ids) {
+    return (await Promise.all(ids.map(getIssue))).filter(Boolean);
+  }
+
+  /**
+   * List up to limit issues of the repository (pull requests left out), with IDs
+   * `KEY-12` for a single project key and `#12` otherwise
+   */
+  async function listIssues(keys, limit) {
+    const prefix = keys.length === 1 ? `${keys[0]}-` : '#';
+    const issues = [];
+    for (let page = 1; issues.length < limit; page++) {
+      const response = await requestJson(`${baseUrl}/repos/${settings.repo}/issues?state=all&per_page=100&page=${page}`,
+        { headers, timeout: settings.timeout });
+      if (response.status !== 200 || !Array.isArray(response.data)) throw responseError(response);
+      response.data
+        .filter(item => !item.pull_request)
+        .forEach(item => issues.push(toIssue(`${prefix}${item.number}`, item)));
+      if (response.data.length < 100) break;
+    }
+    return issues.slice(0, limit);
+  }
+
+  return {
+    name: 'github',
+    getIssue,
+    searchIssues,
+    listIssues
+  };
+}
+
+module.exports = {
+  createGitHubProvider
+};
@@ -0,0 +1,110 @@
+/**
+ * GitLab issues tracker provider (REST API v4)
+ *
+ * Settings: project (path such as 'group/name', or the numeric ID), token (optional
+ * for public projects) and url (instance, default https://gitlab.com).
+ * Tickets are looked up by their project-level number (iid): `#12` or `OPS-12` mean issue 12.
+ */
+
+const { requestJson } = require('./http');
+const { typeFromLabels, issueNumber } = require('./issue');
+
+/**
+ * Convert a GitLab issue into the tracker issue shape. The type comes from a type
+ * label, falling back to GitLab's own issue_type (issue, incident, task, ...).
+ */
+function toIssue(id, data) {
+  const assignee = (data.assignees || [])[0] || data.assignee;
+  const issueType = data.issue_type || data.type;
+  return {
+    id,
+    summary: data.title || '',
+    status: data.state === 'closed' ? 'Closed' : 'Open',
+    statusCategory: data.state === 'closed' ? 'done' : 'new',
+    type: typeFromLabels(data.labels || []) ||
+      (issueType ? issueType.charAt(0).toUpperCase() + issueType.slice(1).toLowerCase() : null),
+    // GitLab only shares assignee emails through the users API, if at all
+    assignee: assignee ? { name: assignee.name || assignee.username, email: null } : null,
+    url: data.web_url
+  };
+}
+
+/**
+ * Turn an unexpected response into an Error naming the status and GitLab's message
+ */
+function responseError(response) {
+  if (response.status === 401 || response.status === 403) {
+    return new Error(`GitLab authentication failed (${response.status}). Check GITLAB_TOKEN`);
+  }
+  const message = response.data && (response.data.message || response.data.error);
+  return new Error(`GitLab API error (${response.status}): ${message ? JSON.stringify(message) : 'Unknown error'}`);
+}
+
+/**
+ * Create a GitLab provider: { name, getIssue(id), searchIssues(ids), listIssues(keys, limit) }
+ */
+function createGitLabProvider(settings = {}) {
+  if (!settings.project) {
+    throw new Error("GitLab needs a project setting such as 'group/name'");
+  }
+  const baseUrl = (settings.url || 'https://gitlab.com').replace(/\/+$/, '');
+  const projectUrl = `${baseUrl}/api/v4/projects/${encodeURIComponent(settings.project)}`;
+  const headers = settings.token ? { 'PRIVATE-TOKEN': settings.token } : {};
+  const request = path => requestJson(`${projectUrl}${path}`, { headers, timeout: settings.timeout });
+
+  /**
+   * Fetch one issue; resolves with null when it does not exist or is not visible
+   */
+  async function getIssue(id) {
+    const iid = issueNumber(id);
+    if (!iid) return null;
+    const response = await request(`/issues/${iid}`);
+    if (response.status === 404) return null;
+    if (response.status !== 200 || !response.data) throw responseError(response);
+    return toIssue(id, response.data);
+  }
+
+  /**
+   * Fetch several issues with one request, filtering by iid
+   */
+  async function searchIssues(ids) {
+    const iids = ids.map(issueNumber).filter(Boolean);
+    if (iids.length === 0) return [];
+    const response = await request(`/issues?per_page=100&${iids.map(iid => `iids[]=${iid}`).join('&')}`);
+    if (response.status === 404) return [];
+    if (response.status !== 200 || !Array.isArray(response.data)) throw responseError(response);
+    return response.data
+      .map(data => {
+        const id = ids.find(candidate => issueNumber(candidate) === String(data.iid));
+        return id ? toIssue(id, data) : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * List up to limit issues of the project, with IDs `KEY-12` for a single project
+   * key and `#12` otherwise
+   */
+  async function listIssues(keys, limit) {
+    const prefix = keys.length === 1 ? `${keys[0]}-` : '#';
+    const issues = [];
+    for (let page = 1; issues.length < limit; page++) {
+      const response = await request(`/issues?per_page=100&page=${page}`);
+      if (response.status !== 200 || !Array.isArray(response.data)) throw responseError(response);
+      response.data.forEach(data => issues.push(toIssue(`${prefix}${data.iid}`, data)));
+      if (response.data.length < 100) break;
+    }
+    return issues.slice(0, limit);
+  }
+
+  return {
+    name: 'gitlab',
+    getIssue,
+    searchIssues,
+    listIssues
+  };
+}
+
+module.exports = {
+  createGitLabProvider
+};
@@ -0,0 +1,54 @@
+/**
+ * Minimal JSON-over-HTTP(S) client for the tracker providers
+ *
+ * Uses Node's own http/https modules, so the tracker layer needs no dependencies.
+ * Plain http:// URLs are accepted as well, e.g. for a local test server.
+ */
+
+const http = require('http');
+const https = require('https');
+
+/**
+ * Send a request and resolve with { status, data, text }, where data is the parsed
+ * JSON body (null when the body is empty or not JSON). Rejects on network errors
+ * and timeouts only; HTTP error statuses are left to the caller.
+ */
+function requestJson(url, options = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+  const body = options.body === undefined ? undefined : JSON.stringify(options.body);
+  const headers = Object.assign({ Accept: 'application/json' }, options.headers);
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(body);
+  }
+  const timeout = options.timeout || 10000;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, { method: options.method || 'GET', headers, timeout }, res => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => {
+        let data = null;
+        try {
+          data = text ? JSON.parse(text) : null;
+        } catch (error) {
+          // Not JSON (e.g. an HTML error page from a proxy)
+        }
+        resolve({ status: res.statusCode, data, text });
+      });
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeout}ms`));
+    });
+    req.on('error', reject);
+    if (body !== undefined) req.write(body);
+    req.end();
+  });
+}
+
+module.exports = {
+  requestJson
+};
@@ -0,0 +1,354 @@
+/**
+ * Issue tracker layer
+ *
+ * A provider looks tickets up in an issue tracker:
+ * - name: provider name, e.g. 'jira' (built in: jira, github, gitlab, linear, registry)
+ * - getIssue(id): resolves with an issue, or null when it does not exist
+ * - searchIssues(ids): resolves with the issues found, leaving out missing ones
+ * - listIssues(keys, limit): optional, resolves with the issues of the given project
+ *   keys (all issues without keys), used to sync the offline ticket registry
+ *
+ * Issues have the shape { id, summary, status, statusCategory, type, assignee, url },
+ * where assignee is { name, email } or null and statusCategory is 'new',
+ * 'indeterminate' or 'done' when the tracker has one.
+ *
+ * createTracker() selects the provider from the `tracker` setting, takes credentials
+ * from environment variables and caches the issues found in a JSON file, so that
+ * git hooks running one process per commit do not query the tracker every time.
+ * Each project key can use its own provider. The tracker also resolves the status
+ * policies: which statuses count as closed or backlog.
+ *
+ * The registry provider reads tickets from a local export or snapshot file, for build
+ * agents without access to the tracker; syncTickets() refreshes that snapshot.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJiraProvider } = require('./jira');
+const { createGitHubProvider } = require('./github');
+const { createGitLabProvider } = require('./gitlab');
+const { createLinearProvider } = require('./linear');
+const { createRegistryProvider } = require('./registry');
+
+// Built-in providers, the environment variables their settings are read from, the
+// settings without which they are skipped (credentials, not configured locally) and
+// whether lookups go to the network and are worth caching
+const PROVIDERS = {
+  jira: {
+    create: createJiraProvider,
+    env: { url: 'JIRA_API_URL', username: 'JIRA_USERNAME', token: 'JIRA_API_TOKEN' },
+    required: ['url', 'token'],
+    remote: true
+  },
+  github: {
+    create: createGitHubProvider,
+    env: { url: 'GITHUB_API_URL', token: 'GITHUB_TOKEN' },
+    required: [],
+    remote: true
+  },
+  gitlab: {
+    create: createGitLabProvider,
+    env: { url: 'GITLAB_URL', token: 'GITLAB_TOKEN' },
+    required: [],
+    remote: true
+  },
+  linear: {
+    create: createLinearProvider,
+    env: { token: 'LINEAR_API_KEY' },
+    required: ['token'],
+    remote: true
+  },
+  registry: {
+    create: createRegistryProvider,
+    env: { file: 'VALIDATE_GIT_TICKETS_FILE' },
+    required: [],
+    remote: false
+  }
+};
+
+// Upper bound of the issues fetched per provider by syncTickets(), see the syncLimit setting
+const DEFAULT_SYNC_LIMIT = 10000;
+
+/**
+ * Default issue cache file, in the user's own cache directory ($XDG_CACHE_HOME or
+ * ~/.cache) rather than the shared temp directory
+ */
+function defaultCacheFile(env) {
+  return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'validate-git', 'issues.json');
+}
+
+/**
+ * Check that a file belongs to the current user, so that nobody else can plant issues
+ * in the cache. Always true where file ownership is not available (Windows).
+ */
+function ownedByCurrentUser(stats) {
+  return typeof process.getuid !== 'function' || stats.uid === process.getuid();
+}
+
+// Statuses matched case-insensitively by the TICKET_CLOSED and TICKET_BACKLOG rules
+const DEFAULT_STATUSES = {
+  closedStatuses: ['Done', 'Closed', 'Resolved', "Won't Do", 'Canceled', 'Cancelled', 'Duplicate'],
+  backlogStatuses: ['Backlog']
+};
+
+/**
+ * File-backed cache of issues by `namespace:id`; ttl is in minutes, 0 disables it.
+ * The file is private to the user (mode 0600) and ignored when someone else owns it.
+ */
+function createIssueCache(file, ttl, namespace) {
+  let entries = null;
+  let trusted = true;
+
+  const load = () => {
+    if (entries) return entries;
+    entries = {};
+    try {
+      trusted = ownedByCurrentUser(fs.statSync(file));
+      if (trusted) entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      // No cache yet, or an unreadable one
+    }
+    return entries;
+  };
+
+  return {
+    get(id) {
+      if (!ttl) return null;
+      const entry = load()[`${namespace}:${id}`];
+      return entry && Date.now() - entry.timestamp < ttl * 60 * 1000 ? entry.issue : null;
+    },
+    set(issues) {
+      if (!ttl || issues.length === 0) return;
+      const cached = load();
+      issues.forEach(issue => {
+        cached[`${namespace}:${issue.id}`] = { issue, timestamp: Date.now() };
+      });
+      if (!trusted) return;
+      try {
+        fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+        fs.writeFileSync(file, JSON.stringify(cached), { mode: 0o600 });
+        fs.chmodSync(file, 0o600);
+      } catch (error) {
+        // The cache is an optimisation only
+      }
+    }
+  };
+}
+
+/**
+ * Set up the provider for one tracker setting ('jira' or { provider, ... }), taking
+ * settings from the environment first; a relative registry file is resolved against
+ * baseDir. Returns { name, provider, skipped, settings, remote }, where skipped is the
+ * reason when required settings (credentials) are missing.
+ */
+function createRoute(setting, env, baseDir) {
+  const settings = typeof setting === 'string' ? { provider: setting } : Object.assign({}, setting);
+  const definition = PROVIDERS[settings.provider];
+  if (!definition) {
+    throw new Error(`Unknown tracker provider '${settings.provider}'. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  // Environment variables override the config file, as for the other settings
+  Object.keys(definition.env).forEach(key => {
+    if (env[definition.env[key]]) settings[key] = env[definition.env[key]];
+  });
+  if (settings.file) {
+    settings.file = path.resolve(baseDir || process.cwd(), settings.file);
+  }
+  const unset = definition.required.filter(key => !settings[key]);
+  if (unset.length > 0) {
+    return {
+      name: settings.provider,
+      provider: null,
+      skipped: `${settings.provider} is not configured: set ${unset.map(key => definition.env[key]).join(' and ')}`,
+      settings,
+      remote: definition.remote
+    };
+  }
+
+  return { name: settings.provider, provider: definition.create(settings), skipped: null, settings, remote: definition.remote };
+}
+
+/**
+ * Set up the routes of a tracker setting: the default one (null without a provider)
+ * and one per key of its projects setting, keyed by upper-case project key
+ */
+function createRoutes(settings, env, baseDir) {
+  const projects = {};
+  Object.keys(settings.projects || {}).forEach(key => {
+    const project = typeof settings.projects[key] === 'string' ? { provider: settings.projects[key] } : settings.projects[key];
+    projects[key.toUpperCase()] = createRoute(Object.assign({ timeout: settings.timeout }, project), env, baseDir);
+  });
+  return {
+    fallback: settings.provider ? createRoute(settings, env, baseDir) : null,
+    projects
+  };
+}
+
+/**
+ * Create a tracker from the `tracker` setting, or null when none is configured.
+ * The setting is a provider name ('jira') or { provider, ...provider settings,
+ * projects, timeout, cacheTtl, cacheFile, closedStatuses, backlogStatuses }, where
+ * projects selects another provider per project key, e.g. { WEB: { provider: 'github',
+ * repo: 'acme/web' } }. Options: env (for credentials, default process.env), keyOf
+ * (returns a ticket's project key), baseDir (for relative registry files, default
+ * process.cwd()) and provider (a custom provider object, used instead of the
+ * setting's own provider).
+ *
+ * The tracker has a getIssues(ids) method resolving with { issues, missing, skipped }
+ * (missing: [{ id, tracker }], skipped: reasons why tickets were not looked up) and
+ * isClosed(issue) / isBacklog(issue) status checks. Found issues carry a `tracker` name.
+ */
+function createTracker(setting, options = {}) {
+  if (!setting && !options.provider) return null;
+  const env = options.env || process.env;
+  const keyOf = options.keyOf || (() => null);
+  const settings = typeof setting === 'string' ? { provider: setting } : Object.assign({}, setting);
+
+  const routes = createRoutes(options.provider ? Object.assign({}, settings, { provider: null }) : settings,
+    env, options.baseDir);
+  const projects = routes.projects;
+  const fallback = options.provider
+    ? { name: options.provider.name || 'custom', provider: options.provider, skipped: null, settings: {}, remote: true }
+    : routes.fallback;
+
+  // Custom providers are not cached unless a cacheTtl is configured, the local registry never
+  const cacheFile = settings.cacheFile || defaultCacheFile(env);
+  const cacheTtl = settings.cacheTtl === undefined ? (options.provider ? 0 : 60) : settings.cacheTtl;
+  [fallback].concat(Object.keys(projects).map(key => projects[key])).filter(Boolean).forEach(route => {
+    const where = route.settings.repo || route.settings.project || '';
+    route.cache = createIssueCache(cacheFile, route.remote ? cacheTtl : 0, `${route.name}:${route.settings.url || ''}:${where}`);
+  });
+
+  /**
+   * The route (provider) for a ticket: its project's, or the default one
+   */
+  function routeFor(id) {
+    const key = keyOf(id);
+    return (key && projects[key.toUpperCase()]) || fallback;
+  }
+
+  /**
+   * Look tickets up in one provider, from the cache where possible
+   */
+  async function lookup(route, ids) {
+    const cached = ids.map(id => route.cache.get(id)).filter(Boolean);
+    const uncached = ids.filter(id => !cached.some(issue => issue.id === id));
+
+    let fetched = [];
+    if (uncached.length === 1 || (uncached.length > 1 && !route.provider.searchIssues)) {
+      fetched = (await Promise.all(uncached.map(id => route.provider.getIssue(id)))).filter(Boolean);
+    } else if (uncached.length > 1) {
+      fetched = await route.provider.searchIssues(uncached);
+    }
+    fetched = fetched.map(issue => Object.assign({ tracker: route.name }, issue));
+    route.cache.set(fetched);
+    return cached.concat(fetched);
+  }
+
+  /**
+   * Look tickets up, each in the provider selected by its project key
+   */
+  async function getIssues(ids) {
+    const groups = [];
+    const skipped = [];
+    ids.forEach(id => {
+      const route = routeFor(id);
+      const reason = !route ? `no tracker is configured for ${id}` : route.skipped;
+      if (reason) {
+        if (!skipped.includes(reason)) skipped.push(reason);
+        return;
+      }
+      const group = groups.find(candidate => candidate.route === route);
+      if (group) {
+        group.ids.push(id);
+      } else {
+        groups.push({ route, ids: [id] });
+      }
+    });
+
+    const found = [].concat(...await Promise.all(groups.map(group => lookup(group.route, group.ids))));
+    const checked = [].concat(...groups.map(group => group.ids));
+    return {
+      issues: ids.map(id => found.find(issue => issue.id === id)).filter(Boolean),
+      missing: checked
+        .filter(id => !found.some(issue => issue.id === id))
+        .map(id => ({ id, tracker: routeFor(id).name })),
+      skipped
+    };
+  }
+
+  const hasStatus = key => {
+    const statuses = (settings[key] || DEFAULT_STATUSES[key]).map(status => status.toLowerCase());
+    return issue => Boolean(issue.status) && statuses.includes(issue.status.toLowerCase());
+  };
+
+  return {
+    name: fallback ? fallback.name : Object.keys(projects).map(key => projects[key].name).join(', '),
+    routes: (fallback ? [{ key: null, name: fallback.name, skipped: fallback.skipped }] : [])
+      .concat(Object.keys(projects).map(key => ({ key, name: projects[key].name, skipped: projects[key].skipped }))),
+    getIssues,
+    isClosed: hasStatus('closedStatuses'),
+    isBacklog: hasStatus('backlogStatuses')
+  };
+}
+
+/**
+ * Refresh the offline ticket registry: list the issues of the registry's `source`
+ * tracker setting (which may route project keys to several providers) and write them
+ * to its file as { syncedAt, sources, issues }. Options: env, baseDir and projectKeys
+ * (the keys listed from the default source provider, minus those routed elsewhere).
+ * Resolves with { file, syncedAt, count, routes: [{ key, name, count }] }.
+ */
+async function syncTickets(setting, options = {}) {
+  const env = options.env || process.env;
+  const settings = typeof setting === 'string' ? { provider: setting } : Object.assign({}, setting);
+  if (settings.provider !== 'registry' || !settings.source) {
+    throw new Error("Syncing tickets needs a tracker setting with provider 'registry' and a source tracker " +
+      "to sync from, e.g. { provider: 'registry', file: 'tickets.json', source: 'jira' }");
+  }
+  const registry = createRoute(settings, env, options.baseDir);
+  if (!/\.json$/i.test(registry.settings.file || '')) {
+    throw new Error("Syncing tickets needs a JSON registry file setting such as 'tickets.json'");
+  }
+
+  const source = typeof settings.source === 'string' ? { provider: settings.source } : settings.source;
+  const { fallback, projects } = createRoutes(Object.assign({ timeout: settings.timeout }, source), env, options.baseDir);
+  const projectKeys = options.projectKeys || [];
+  const limit = settings.syncLimit || DEFAULT_SYNC_LIMIT;
+  const routes = (fallback ? [{ key: null, route: fallback,
+    keys: projectKeys.filter(key => !projects[key.toUpperCase()]) }] : [])
+    .concat(Object.keys(projects).map(key => ({ key, route: projects[key], keys: [key] })));
+  if (routes.length === 0) {
+    throw new Error('The registry source names no provider to sync from');
+  }
+
+  const listed = await Promise.all(routes.map(async ({ key, route, keys }) => {
+    if (route.skipped) throw new Error(`Cannot sync tickets: ${route.skipped}`);
+    if (!route.remote || !route.provider.listIssues) {
+      throw new Error(`Cannot sync tickets from ${route.name}: it cannot list its issues`);
+    }
+    const issues = await route.provider.listIssues(keys, limit);
+    return { key, name: route.name, issues: issues.map(issue => Object.assign({ tracker: route.name }, issue)) };
+  }));
+
+  const syncedAt = new Date().toISOString();
+  const issues = [].concat(...listed.map(entry => entry.issues));
+  const file = registry.settings.file;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({ syncedAt, sources: listed.map(entry => entry.name), issues }, null, 2)}\n`);
+  return {
+    file,
+    syncedAt,
+    count: issues.length,
+    routes: listed.map(entry => ({ key: entry.key, name: entry.name, count: entry.issues.length }))
+  };
+}
+
+module.exports = {
+  createTracker,
+  syncTickets,
+  PROVIDERS,
+  DEFAULT_STATUSES
+};
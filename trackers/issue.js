@@ -0,0 +1,34 @@
+/**
+ * Helpers shared by the tracker providers for building normalized issues
+ */
+
+// Labels read as issue types by trackers without real issue types (GitHub, GitLab, Linear),
+// bare (`bug`) or prefixed (`type: bug`, `type::bug`)
+const TYPE_LABELS = ['bug', 'feature', 'enhancement', 'story', 'task', 'epic', 'chore', 'incident'];
+
+/**
+ * The issue type named by a list of labels, e.g. ['type::bug', 'ui'] gives 'Bug'
+ */
+function typeFromLabels(labels) {
+  for (const label of labels) {
+    const name = label.toLowerCase().replace(/^type\s*(?::{1,2}|\/)\s*/, '');
+    if (TYPE_LABELS.includes(name)) {
+      return name.charAt(0).toUpperCase() + name.slice(1);
+    }
+  }
+  return null;
+}
+
+/**
+ * The number at the end of a ticket ID: '#12', 'GH-12' and 'WEB-12' all give '12'
+ */
+function issueNumber(id) {
+  const match = String(id).match(/(\d+)$/);
+  return match ? match[1] : null;
+}
+
+module.exports = {
+  typeFromLabels,
+  issueNumber,
+  TYPE_LABELS
+};
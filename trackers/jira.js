@@ -0,0 +1,120 @@
+/**
+ * Jira tracker provider (Jira Cloud and Jira Server/Data Center, REST API v2)
+ *
+ * Settings: url (e.g. https://company.atlassian.net), username and token.
+ * With a username the token is sent as Basic auth (Jira Cloud API tokens),
+ * without one as a Bearer token (Server personal access tokens).
+ */
+
+const { requestJson } = require('./http');
+
+const FIELDS = ['summary', 'status', 'assignee', 'issuetype'];
+
+/**
+ * Convert a Jira issue into the tracker issue shape
+ */
+function toIssue(data, baseUrl) {
+  const fields = data.fields || {};
+  const assignee = fields.assignee;
+  return {
+    id: data.key,
+    summary: fields.summary || '',
+    status: fields.status ? fields.status.name : null,
+    statusCategory: fields.status && fields.status.statusCategory ? fields.status.statusCategory.key : null,
+    type: fields.issuetype ? fields.issuetype.name : null,
+    assignee: assignee
+      ? { name: assignee.displayName || assignee.name || null, email: assignee.emailAddress || null }
+      : null,
+    url: `${baseUrl}browse/${data.key}`
+  };
+}
+
+/**
+ * Turn an unexpected response into an Error naming the status and Jira's messages
+ */
+function responseError(response) {
+  if (response.status === 401 || response.status === 403) {
+    return new Error(`Jira authentication failed (${response.status}). Check JIRA_USERNAME and JIRA_API_TOKEN`);
+  }
+  const messages = response.data && response.data.errorMessages && response.data.errorMessages.length > 0
+    ? response.data.errorMessages.join(', ')
+    : 'Unknown error';
+  return new Error(`Jira API error (${response.status}): ${messages}`);
+}
+
+/**
+ * Create a Jira provider: { name, getIssue(id), searchIssues(ids), listIssues(keys, limit) }
+ */
+function createJiraProvider(settings = {}) {
+  if (!settings.url || !settings.token) {
+    throw new Error('Jira needs a url and an API token (JIRA_API_URL and JIRA_API_TOKEN)');
+  }
+  const baseUrl = settings.url.endsWith('/') ? settings.url : `${settings.url}/`;
+  const headers = {
+    Authorization: settings.username
+      ? `Basic ${Buffer.from(`${settings.username}:${settings.token}`).toString('base64')}`
+      : `Bearer ${settings.token}`
+  };
+  const request = (path, options = {}) =>
+    requestJson(`${baseUrl}${path}`, Object.assign({ headers, timeout: settings.timeout }, options));
+
+  /**
+   * Fetch one issue; resolves with null when it does not exist or is not visible
+   */
+  async function getIssue(id) {
+    const response = await request(`rest/api/2/issue/${encodeURIComponent(id)}?fields=${FIELDS.join(',')}`);
+    if (response.status === 404) return null;
+    if (response.status !== 200 || !response.data) throw responseError(response);
+    return toIssue(response.data, baseUrl);
+  }
+
+  /**
+   * Fetch several issues with one JQL search; missing issues are left out
+   */
+  async function searchIssues(ids) {
+    if (ids.length === 0) return [];
+    const response = await request('rest/api/2/search', {
+      method: 'POST',
+      body: {
+        jql: `key in (${ids.join(', ')})`,
+        fields: FIELDS,
+        maxResults: ids.length,
+        // Unknown keys are dropped from the result instead of failing the query
+        validateQuery: 'warn'
+      }
+    });
+    if (response.status !== 200 || !response.data) throw responseError(response);
+    return (response.data.issues || []).map(issue => toIssue(issue, baseUrl));
+  }
+
+  /**
+   * List up to limit issues of the given projects (all visible issues without keys),
+   * for the offline ticket registry
+   */
+  async function listIssues(keys, limit) {
+    const jql = `${keys.length > 0 ? `project in (${keys.join(', ')}) ` : ''}ORDER BY key`;
+    const issues = [];
+    while (issues.length < limit) {
+      const response = await request('rest/api/2/search', {
+        method: 'POST',
+        body: { jql, fields: FIELDS, startAt: issues.length, maxResults: Math.min(100, limit - issues.length) }
+      });
+      if (response.status !== 200 || !response.data) throw responseError(response);
+      const page = response.data.issues || [];
+      issues.push(...page.map(issue => toIssue(issue, baseUrl)));
+      if (page.length === 0 || issues.length >= response.data.total) break;
+    }
+    return issues;
+  }
+
+  return {
+    name: 'jira',
+    getIssue,
+    searchIssues,
+    listIssues
+  };
+}
+
+module.exports = {
+  createJiraProvider
+};
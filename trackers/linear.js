@@ -0,0 +1,126 @@
+/**
+ * Linear tracker provider (GraphQL API)
+ *
+ * Settings: token (personal API key) and url (GraphQL endpoint, default
+ * https://api.linear.app/graphql). Tickets are looked up by identifier, e.g. ENG-123.
+ */
+
+const { requestJson } = require('./http');
+const { typeFromLabels } = require('./issue');
+
+const ISSUE_FIELDS = 'identifier title url state { name type } assignee { name email } labels { nodes { name } }';
+
+// Linear workflow state types and the matching status categories
+const STATE_CATEGORIES = {
+  triage: 'new',
+  backlog: 'new',
+  unstarted: 'new',
+  started: 'indeterminate',
+  completed: 'done',
+  canceled: 'done'
+};
+
+/**
+ * Convert a Linear issue into the tracker issue shape; Linear has no issue types,
+ * so the type comes from a type label
+ */
+function toIssue(id, data) {
+  const state = data.state || {};
+  return {
+    id,
+    summary: data.title || '',
+    status: state.name || null,
+    statusCategory: STATE_CATEGORIES[state.type] || null,
+    type: typeFromLabels(data.labels ? data.labels.nodes.map(label => label.name) : []),
+    assignee: data.assignee ? { name: data.assignee.name, email: data.assignee.email || null } : null,
+    url: data.url
+  };
+}
+
+/**
+ * Create a Linear provider: { name, getIssue(id), searchIssues(ids), listIssues(keys, limit) }
+ */
+function createLinearProvider(settings = {}) {
+  if (!settings.token) {
+    throw new Error('Linear needs an API key (LINEAR_API_KEY)');
+  }
+  const url = settings.url || 'https://api.linear.app/graphql';
+
+  /**
+   * Run a GraphQL query and resolve with its data. "Entity not found" errors are
+   * left to the caller, who sees the missing fields as null.
+   */
+  async function query(text, variables) {
+    const response = await requestJson(url, {
+      method: 'POST',
+      headers: { Authorization: settings.token },
+      body: { query: text, variables },
+      timeout: settings.timeout
+    });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error(`Linear authentication failed (${response.status}). Check LINEAR_API_KEY`);
+    }
+    const errors = (response.data && response.data.errors) || [];
+    const otherErrors = errors.filter(error => !/not found/i.test(error.message));
+    if (!response.data || (response.status !== 200 && !response.data.data) || otherErrors.length > 0) {
+      const message = otherErrors.length > 0 ? otherErrors.map(error => error.message).join(', ') : 'Unknown error';
+      throw new Error(`Linear API error (${response.status}): ${message}`);
+    }
+    return response.data.data || {};
+  }
+
+  /**
+   * Fetch several issues in one GraphQL query, one aliased field per identifier.
+   * Identifiers Linear does not know come back as null with an "Entity not found" error.
+   */
+  async function searchIssues(ids) {
+    if (ids.length === 0) return [];
+    const fields = ids.map((id, index) => `i${index}: issue(id: ${JSON.stringify(id)}) { ${ISSUE_FIELDS} }`);
+    const data = await query(`query { ${fields.join(' ')} }`);
+    return ids
+      .map((id, index) => (data[`i${index}`] ? toIssue(id, data[`i${index}`]) : null))
+      .filter(Boolean);
+  }
+
+  /**
+   * Fetch one issue; resolves with null when it does not exist or is not visible
+   */
+  async function getIssue(id) {
+    const issues = await searchIssues([id]);
+    return issues[0] || null;
+  }
+
+  /**
+   * List up to limit issues of the given teams (all visible issues without keys),
+   * a page of 100 at a time
+   */
+  async function listIssues(keys, limit) {
+    const filter = keys.length > 0 ? { team: { key: { in: keys } } } : {};
+    const issues = [];
+    let after = null;
+    while (issues.length < limit) {
+      const data = await query(
+        `query($after: String, $filter: IssueFilter) { issues(first: 100, after: $after, filter: $filter) {
+          nodes { ${ISSUE_FIELDS} } pageInfo { hasNextPage endCursor } } }`,
+        { after, filter }
+      );
+      const page = data.issues || { nodes: [], pageInfo: {} };
+      page.nodes.forEach(node => issues.push(toIssue(node.identifier, node)));
+      if (!page.pageInfo.hasNextPage) break;
+      after = page.pageInfo.endCursor;
+    }
+    return issues.slice(0, limit);
+  }
+
+  return {
+    name: 'linear',
+    getIssue,
+    searchIssues,
+    listIssues
+  };
+}
+
+module.exports = {
+  createLinearProvider
+};
@@ -0,0 +1,192 @@
+/**
+ * Offline ticket registry provider: tickets read from a local file instead of a tracker
+ *
+ * Settings: file, a JSON or CSV file (by extension). It is either an export from the
+ * tracker or the snapshot written by `validate-git tickets sync`.
+ * - JSON: an array of issues or { issues: [...] }, in the tracker issue shape, Jira's
+ *   REST shape ({ key, fields }) or flat objects named like the CSV columns
+ * - CSV: a header row and one ticket per row. Columns are matched by name, ignoring case
+ *   and spaces, so Jira's "Issue key, Summary, Status, Issue Type, Assignee" export works.
+ */
+
+const fs = require('fs');
+
+// Accepted column (or JSON property) names per issue field, normalized: lowercase, no spaces
+const COLUMNS = {
+  id: ['issuekey', 'key', 'identifier', 'id', 'ticket'],
+  summary: ['summary', 'title'],
+  status: ['status', 'state'],
+  statusCategory: ['statuscategory'],
+  type: ['issuetype', 'type'],
+  assignee: ['assignee', 'assigneename'],
+  email: ['assigneeemail', 'assigneeemailaddress'],
+  url: ['url', 'link', 'weburl', 'htmlurl']
+};
+
+// Status category names as Jira exports them
+const STATUS_CATEGORIES = {
+  'to do': 'new',
+  'in progress': 'indeterminate'
+};
+
+/**
+ * Registry key of a ticket ID: case-insensitive, with GH-12 meaning #12
+ */
+function registryKey(id) {
+  return String(id).trim().toUpperCase().replace(/^GH-(?=\d+$)/, '#');
+}
+
+/**
+ * Split CSV text into rows of cells, following RFC 4180 quoting
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  rows.push(row);
+  return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+/**
+ * Key an object's properties by normalized name; the first of duplicate columns wins
+ */
+function normalizeKeys(object) {
+  return Object.keys(object).reduce((normalized, key) => {
+    const name = key.toLowerCase().replace(/[\s_-]+/g, '');
+    if (!(name in normalized)) normalized[name] = object[key];
+    return normalized;
+  }, {});
+}
+
+/**
+ * Convert one exported row or JSON object into the tracker issue shape; null without an ID
+ */
+function toIssue(data) {
+  const row = normalizeKeys(data.fields ? Object.assign({}, data.fields, { key: data.key }) : data);
+  const field = name => {
+    const column = COLUMNS[name].find(candidate => row[candidate] !== undefined && row[candidate] !== null && row[candidate] !== '');
+    return column ? row[column] : null;
+  };
+  // JSON exports nest names in objects, e.g. status: { name: 'Done' }
+  const text = value => (value && typeof value === 'object' ? value.name || value.displayName || null : value);
+
+  const id = field('id');
+  if (!id) return null;
+  const status = field('status');
+  const assignee = field('assignee');
+  let statusCategory = field('statusCategory') ||
+    (status && status.statusCategory ? status.statusCategory.key : null);
+  if (typeof statusCategory === 'string') {
+    statusCategory = STATUS_CATEGORIES[statusCategory.toLowerCase()] || statusCategory.toLowerCase();
+  }
+  const email = field('email') || (assignee && typeof assignee === 'object' ? assignee.email || assignee.emailAddress : null);
+
+  return {
+    id: String(id),
+    summary: text(field('summary')) || '',
+    status: text(status),
+    statusCategory,
+    type: text(field('type')),
+    assignee: assignee ? { name: text(assignee), email: email || null } : null,
+    url: field('url')
+  };
+}
+
+/**
+ * Read a registry file into a Map of issues by registry key
+ */
+function readRegistry(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+  } catch (error) {
+    throw new Error(`Cannot read the ticket registry ${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}. ` +
+      "Run 'validate-git tickets sync' or export your tickets to it");
+  }
+
+  let items;
+  try {
+    if (/\.csv$/i.test(file)) {
+      const [header = [], ...rows] = parseCsv(text);
+      items = rows.map(cells => header.reduce((row, name, index) => {
+        if (!(name in row)) row[name] = (cells[index] || '').trim();
+        return row;
+      }, {}));
+    } else {
+      const data = JSON.parse(text);
+      items = Array.isArray(data) ? data : data.issues;
+      if (!Array.isArray(items)) throw new Error('expected an array of issues or { issues: [...] }');
+    }
+  } catch (error) {
+    throw new Error(`Cannot parse the ticket registry ${file}: ${error.message}`);
+  }
+
+  const issues = new Map();
+  items.map(toIssue).filter(Boolean).forEach(issue => issues.set(registryKey(issue.id), issue));
+  return issues;
+}
+
+/**
+ * Create a registry provider: { name, getIssue(id), searchIssues(ids) }. The file
+ * is read on the first lookup.
+ */
+function createRegistryProvider(settings = {}) {
+  if (!settings.file) {
+    throw new Error("The ticket registry needs a file setting such as 'tickets.json'");
+  }
+  let issues = null;
+
+  /**
+   * Find one ticket; resolves with null when the registry does not list it
+   */
+  async function getIssue(id) {
+    issues = issues || readRegistry(settings.file);
+    const issue = issues.get(registryKey(id));
+    return issue ? Object.assign({}, issue, { id }) : null;
+  }
+
+  /**
+   * Find several tickets, leaving out the ones the registry does not list
+   */
+  async function searchIssues(ids) {
+    return (await Promise.all(ids.map(getIssue))).filter(Boolean);
+  }
+
+  return {
+    name: 'registry',
+    getIssue,
+    searchIssues
+  };
+}
+
+module.exports = {
+  createRegistryProvider
+};
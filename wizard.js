@@ -0,0 +1,254 @@
+/**
+ * Interactive branch and commit wizard
+ *
+ * Asks for the branch type, project key, ticket number, description and commit
+ * message, showing validation feedback below the prompt while the user types.
+ * When stdin or stdout is not a TTY the answers are read line by line from stdin
+ * instead, without live feedback, so the wizard can also be scripted.
+ */
+
+const readline = require('readline');
+const { resolveTicketSyntax } = require('./ticket-syntax');
+
+/**
+ * Create a prompt on the given streams. ask(question, feedback, initial) resolves with
+ * the answer, or null when the input ends; feedback(line) returns the text shown
+ * below the prompt while typing.
+ */
+function createPrompt(input, output) {
+  const interactive = Boolean(input.isTTY && output.isTTY);
+  const rl = readline.createInterface({ input, output, terminal: interactive });
+  const queued = [];
+  let pending = null;
+  let closed = false;
+
+  rl.on('line', line => {
+    if (interactive) return;
+    if (pending) {
+      const resolve = pending;
+      pending = null;
+      resolve(line);
+    } else {
+      queued.push(line);
+    }
+  });
+  rl.on('close', () => {
+    closed = true;
+    if (pending) pending(null);
+  });
+  rl.on('SIGINT', () => {
+    output.write('\n');
+    rl.close();
+  });
+
+  /**
+   * Read the next piped line, echoing it after the question
+   */
+  function askPiped(question) {
+    output.write(question);
+    return new Promise(resolve => {
+      const answer = line => {
+        output.write(line === null ? '\n' : `${line}\n`);
+        resolve(line);
+      };
+      if (queued.length > 0) {
+        answer(queued.shift());
+      } else if (closed) {
+        answer(null);
+      } else {
+        pending = answer;
+      }
+    });
+  }
+
+  function ask(question, feedback, initial) {
+    if (!interactive) return askPiped(question);
+    if (closed) return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      let answered = false;
+      // Draw the feedback on the line below the prompt, keeping the cursor in place
+      const showFeedback = () => {
+        if (!feedback || closed || answered) return;
+        output.write('\x1b7\x1b[1B\r');
+        readline.clearLine(output, 0);
+        output.write(feedback(rl.line));
+        output.write('\x1b8');
+      };
+      const onKeypress = () => setImmediate(showFeedback);
+      const done = answer => {
+        answered = true;
+        input.removeListener('keypress', onKeypress);
+        rl.removeListener('close', onClose);
+        readline.clearLine(output, 0);
+        resolve(answer);
+      };
+      const onClose = () => done(null);
+
+      // Make room for the feedback line before the prompt is drawn
+      output.write('\n\x1b[1A');
+      input.on('keypress', onKeypress);
+      rl.once('close', onClose);
+      rl.question(question, done);
+      if (initial) rl.write(initial);
+      showFeedback();
+    });
+  }
+
+  return {
+    interactive,
+    ask,
+    close: () => rl.close()
+  };
+}
+
+/**
+ * Ask until validate(answer) returns null, printing its error otherwise.
+ * Throws when the input ends first.
+ */
+async function askValid(prompt, output, question, validate, feedback, initial) {
+  let value = initial;
+  while (true) {
+    const answer = await prompt.ask(question, feedback, value);
+    if (answer === null) {
+      throw new Error('Wizard ended before all questions were answered');
+    }
+    const error = validate(answer.trim());
+    if (!error) return answer.trim();
+    output.write(`   ❌ ${error.message}\n`);
+    value = error.retry;
+  }
+}
+
+/**
+ * Ask for one of a list of options by number or name; empty picks the first one
+ */
+function choose(prompt, output, label, options) {
+  output.write(`${label}:\n`);
+  options.forEach((option, index) => output.write(`  ${index + 1}) ${option}\n`));
+  const pick = answer => {
+    if (!answer) return options[0];
+    const number = Number(answer);
+    if (Number.isInteger(number) && number >= 1 && number <= options.length) return options[number - 1];
+    return options.includes(answer) ? answer : null;
+  };
+  return askValid(prompt, output, `${label} [1]: `,
+    answer => (pick(answer) ? null : { message: `Choose 1-${options.length} or one of: ${options.join(', ')}` }),
+    line => (pick(line.trim()) ? `   → ${pick(line.trim())}` : '   ❌ unknown choice')
+  ).then(pick);
+}
+
+/**
+ * Run the wizard with a validator (the index.js API or one from createValidator).
+ * Branch types whose format cannot be filled from a title are not offered, and the
+ * ticket questions are skipped for types without {ticket}.
+ * Options: input and output streams (default: process.stdin/stdout), create
+ * (true/false to skip the final question). Resolves with { branchName, commitMessage, create }.
+ */
+async function runWizard(validator, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const prompt = createPrompt(input, output);
+  const { config } = validator.getConfig();
+  const syntax = resolveTicketSyntax(config.ticketSyntax, config.projectKeys);
+
+  try {
+    if (!prompt.interactive) {
+      output.write('ℹ️  No interactive terminal: reading answers from stdin, one per line\n');
+    }
+
+    // Only types whose names can be built from a title (not e.g. `{type}/{version}`)
+    const types = validator.getGeneratedBranchTypes();
+    if (types.length === 0) {
+      throw new Error('None of the branch types can be built from a title: their formats need other placeholders');
+    }
+    const type = await choose(prompt, output, '🌿 Branch type', types.map(t => t.name));
+    const takesTicket = types.find(t => t.name === type).ticket !== 'none';
+
+    // Ticket: project key + number for KEY-123 syntaxes, the full ID otherwise
+    let ticket;
+    if (!takesTicket) {
+      ticket = undefined;
+    } else if (['jira', 'linear'].includes(syntax.name)) {
+      const key = await choose(prompt, output, '📋 Project key', config.projectKeys);
+      const number = await askValid(prompt, output, '🎫 Ticket number (empty for none): ',
+        answer => checkTicket(validator, type, answer ? `${key}-${answer}` : '', /^\d*$/.test(answer)),
+        line => (/^\d*$/.test(line.trim()) ? `   🎫 ${line.trim() ? `${key}-${line.trim()}` : 'no ticket'}` : '   ❌ digits only'));
+      ticket = number ? `${key}-${number}` : undefined;
+    } else {
+      ticket = await askValid(prompt, output, `🎫 Ticket (e.g. ${syntax.example}, empty for none): `,
+        answer => checkTicket(validator, type, answer, !answer || validator.extractTicketIds(answer)[0] === answer),
+        line => `   🎫 ${line.trim() || 'no ticket'}`) || undefined;
+    }
+
+    // Description: preview the generated branch name while typing
+    const preview = line => {
+      if (!line.trim()) return '   (the branch name appears here)';
+      try {
+        const result = validator.generateBranchName(line, { type, ticket });
+        return `   ${result.branchName} ${result.valid ? '✅' : result.message}`;
+      } catch (error) {
+        return `   ❌ ${error.message}`;
+      }
+    };
+    let branchResult;
+    await askValid(prompt, output, '📝 Description: ', answer => {
+      try {
+        branchResult = validator.generateBranchName(answer, { type, ticket });
+      } catch (error) {
+        return { message: error.message };
+      }
+      return branchResult.valid ? null : { message: branchResult.message.replace(/^❌\s*/, '') };
+    }, preview);
+    const branchName = branchResult.branchName;
+    output.write(`   ✅ ${branchName}\n`);
+
+    // Commit message, prefilled with the ticket when the commit format starts with it
+    const commitFor = line => validator.prefillCommitMessage(line.trim(), branchName);
+    const commitMessage = await askValid(prompt, output, '💬 Commit message (empty to skip): ', answer => {
+      if (!answer) return null;
+      const result = validator.validateCommitMessage(commitFor(answer));
+      if (result.valid) return null;
+      return { message: result.message.replace(/^❌\s*/, ''), retry: result.suggestion };
+    }, line => {
+      if (!line.trim()) return '   (no commit)';
+      const result = validator.validateCommitMessage(commitFor(line));
+      return `   ${commitFor(line)} ${result.valid ? '✅' : `${result.message}${result.suggestion ? ` 💡 ${result.suggestion}` : ''}`}`;
+    });
+
+    let create = options.create;
+    if (create === undefined) {
+      create = false;
+      if (prompt.interactive) {
+        const answer = await prompt.ask(`🚀 Create branch ${commitMessage ? 'and commit ' : ''}now? [y/N]: `);
+        create = /^y(es)?$/i.test((answer || '').trim());
+      }
+    }
+
+    return {
+      branchName,
+      commitMessage: commitMessage ? commitFor(commitMessage) : null,
+      create
+    };
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Check a ticket answer: well-formed, and present when the branch type requires one
+ */
+function checkTicket(validator, type, ticket, wellFormed) {
+  if (!wellFormed) return { message: `'${ticket}' is not a valid ticket ID` };
+  try {
+    validator.generateBranchName('check', { type, ticket: ticket || undefined });
+  } catch (error) {
+    return { message: error.message };
+  }
+  return null;
+}
+
+module.exports = {
+  runWizard,
+  createPrompt
+};